@@ -0,0 +1,24 @@
+// Politique de relance (dunning) appliquée après un échec de paiement
+
+// Délais (en jours) entre deux tentatives lorsque Stripe n'en planifie pas
+const parseSchedule = (value) =>
+  value
+    .split(",")
+    .map((days) => parseFloat(days.trim()))
+    .filter((days) => !isNaN(days) && days > 0);
+
+const retryScheduleDays = parseSchedule(
+  process.env.DUNNING_RETRY_SCHEDULE_DAYS || "3,5,7"
+);
+
+const dunningConfig = {
+  // Nombre d'échecs après lequel l'abonnement est suspendu
+  maxAttempts: parseInt(process.env.DUNNING_MAX_ATTEMPTS, 10) || 4,
+
+  // Durée (en jours) pendant laquelle l'accès premium est conservé après le premier échec
+  gracePeriodDays: parseFloat(process.env.DUNNING_GRACE_PERIOD_DAYS) || 14,
+
+  retryScheduleDays: retryScheduleDays.length ? retryScheduleDays : [3, 5, 7],
+};
+
+module.exports = dunningConfig;
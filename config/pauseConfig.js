@@ -0,0 +1,24 @@
+// Politique de mise en pause des abonnements
+
+// Traitements des factures émises pendant la pause acceptés par Stripe
+const PAUSE_BEHAVIORS = ["void", "keep_as_draft", "mark_uncollectible"];
+
+const behavior = process.env.SUBSCRIPTION_PAUSE_BEHAVIOR || "void";
+if (!PAUSE_BEHAVIORS.includes(behavior)) {
+  throw new Error(
+    `SUBSCRIPTION_PAUSE_BEHAVIOR invalide : "${behavior}" (valeurs possibles : ${PAUSE_BEHAVIORS.join(", ")})`
+  );
+}
+
+const pauseConfig = {
+  // Conserver l'accès premium pendant la pause (sinon le rôle est retiré jusqu'à la reprise)
+  keepAccess: process.env.SUBSCRIPTION_PAUSE_KEEP_ACCESS === "true",
+
+  // Durée maximale (en jours) d'une pause demandée par l'utilisateur
+  maxPauseDays: parseFloat(process.env.SUBSCRIPTION_PAUSE_MAX_DAYS) || 90,
+
+  // Traitement des factures émises pendant la pause (void, keep_as_draft, mark_uncollectible)
+  behavior,
+};
+
+module.exports = pauseConfig;
@@ -0,0 +1,76 @@
+const ApiKeyService = require("../services/apiKeyService");
+const { logger } = require("../utils/logger");
+
+class adminApiKeyController {
+  // Lister les clés API (révoquées comprises avec ?includeRevoked=true)
+  static async listApiKeys(req, res) {
+    try {
+      const apiKeys = await ApiKeyService.listKeys({
+        includeRevoked: req.query.includeRevoked === "true",
+      });
+      res.json({
+        apiKeys: apiKeys.map((apiKey) => apiKey.toPublicJSON()),
+        availableScopes: ApiKeyService.SCOPES,
+      });
+    } catch (error) {
+      logger.error("❌ Erreur listApiKeys:", error);
+      res.status(500).json({ error: "Erreur serveur." });
+    }
+  }
+
+  // Émettre une clé API (la valeur n'est affichée qu'une fois)
+  static async issueApiKey(req, res) {
+    try {
+      logger.info(`[🔑] Émission de clé API par l'admin ${req.user.userId}`, {
+        name: req.body.name,
+        scopes: req.body.scopes,
+      });
+
+      const { apiKey, key } = await ApiKeyService.issueKey(
+        req.body,
+        req.user.userId
+      );
+      res.status(201).json({ success: true, apiKey: apiKey.toPublicJSON(), key });
+    } catch (error) {
+      logger.error("❌ Erreur émission clé API:", error);
+      res.status(error.statusCode || 500).json({
+        error: "Erreur lors de l'émission de la clé API",
+        details: error.message,
+      });
+    }
+  }
+
+  // Renouveler une clé API (période de grâce optionnelle pour l'ancienne)
+  static async rotateApiKey(req, res) {
+    try {
+      const { apiKey, key } = await ApiKeyService.rotateKey(
+        req.params.id,
+        req.body,
+        req.user.userId
+      );
+      res.status(201).json({ success: true, apiKey: apiKey.toPublicJSON(), key });
+    } catch (error) {
+      logger.error("❌ Erreur renouvellement clé API:", error);
+      res.status(error.statusCode || 500).json({
+        error: "Erreur lors du renouvellement de la clé API",
+        details: error.message,
+      });
+    }
+  }
+
+  // Révoquer une clé API
+  static async revokeApiKey(req, res) {
+    try {
+      const apiKey = await ApiKeyService.revokeKey(req.params.id);
+      res.json({ success: true, apiKey: apiKey.toPublicJSON() });
+    } catch (error) {
+      logger.error("❌ Erreur révocation clé API:", error);
+      res.status(error.statusCode || 500).json({
+        error: "Erreur lors de la révocation de la clé API",
+        details: error.message,
+      });
+    }
+  }
+}
+
+module.exports = adminApiKeyController;
@@ -0,0 +1,110 @@
+const PlanService = require("../services/planService");
+const { logger } = require("../utils/logger");
+
+class adminPlanController {
+  // Lister tout le catalogue, plans archivés compris
+  static async listPlans(req, res) {
+    try {
+      const plans = await PlanService.listAllPlans();
+      res.json({ plans });
+    } catch (error) {
+      logger.error("❌ Erreur admin listPlans:", error);
+      res.status(500).json({ error: "Erreur serveur." });
+    }
+  }
+
+  // Créer un plan (produit et prix Stripe inclus)
+  static async createPlan(req, res) {
+    try {
+      logger.info(`[🏷️] Création de plan par l'admin ${req.user.userId}`, {
+        code: req.body.code,
+      });
+
+      const plan = await PlanService.createPlan(req.body);
+      res.status(201).json({ success: true, plan });
+    } catch (error) {
+      logger.error("❌ Erreur création plan:", error);
+      res.status(error.statusCode || 500).json({
+        error: "Erreur lors de la création du plan",
+        details: error.message,
+      });
+    }
+  }
+
+  // Modifier les informations d'un plan (nom, description, droits...)
+  static async updatePlan(req, res) {
+    try {
+      const plan = await PlanService.updatePlan(req.params.code, req.body);
+      res.json({ success: true, plan });
+    } catch (error) {
+      logger.error("❌ Erreur mise à jour plan:", error);
+      res.status(error.statusCode || 500).json({
+        error: "Erreur lors de la mise à jour du plan",
+        details: error.message,
+      });
+    }
+  }
+
+  // Changer le prix d'un plan
+  static async repricePlan(req, res) {
+    try {
+      logger.info(`[💶] Re-tarification du plan ${req.params.code}`, {
+        adminId: req.user.userId,
+        amount: req.body.amount,
+      });
+
+      const plan = await PlanService.repricePlan(req.params.code, req.body);
+      res.json({ success: true, plan });
+    } catch (error) {
+      logger.error("❌ Erreur re-tarification plan:", error);
+      res.status(error.statusCode || 500).json({
+        error: "Erreur lors du changement de prix",
+        details: error.message,
+      });
+    }
+  }
+
+  // Archiver un plan (il n'est plus proposé)
+  static async archivePlan(req, res) {
+    try {
+      const plan = await PlanService.setPlanArchived(req.params.code, true);
+      res.json({ success: true, plan });
+    } catch (error) {
+      logger.error("❌ Erreur archivage plan:", error);
+      res.status(error.statusCode || 500).json({
+        error: "Erreur lors de l'archivage du plan",
+        details: error.message,
+      });
+    }
+  }
+
+  // Remettre en vente un plan archivé
+  static async unarchivePlan(req, res) {
+    try {
+      const plan = await PlanService.setPlanArchived(req.params.code, false);
+      res.json({ success: true, plan });
+    } catch (error) {
+      logger.error("❌ Erreur réactivation plan:", error);
+      res.status(error.statusCode || 500).json({
+        error: "Erreur lors de la réactivation du plan",
+        details: error.message,
+      });
+    }
+  }
+
+  // Supprimer un plan inutilisé
+  static async deletePlan(req, res) {
+    try {
+      await PlanService.deletePlan(req.params.code);
+      res.json({ success: true, message: "Plan supprimé." });
+    } catch (error) {
+      logger.error("❌ Erreur suppression plan:", error);
+      res.status(error.statusCode || 500).json({
+        error: "Erreur lors de la suppression du plan",
+        details: error.message,
+      });
+    }
+  }
+}
+
+module.exports = adminPlanController;
@@ -0,0 +1,54 @@
+const PromoCodeService = require("../services/promoCodeService");
+const { logger } = require("../utils/logger");
+
+class adminPromoCodeController {
+  // Lister les codes promo
+  static async listPromoCodes(req, res) {
+    try {
+      const promoCodes = await PromoCodeService.listPromoCodes();
+      res.json({ promoCodes });
+    } catch (error) {
+      logger.error("❌ Erreur listPromoCodes:", error);
+      res.status(500).json({ error: "Erreur serveur." });
+    }
+  }
+
+  // Créer un coupon et son code promotionnel
+  static async createPromoCode(req, res) {
+    try {
+      logger.info(`[🎟️] Création de code promo par l'admin ${req.user.userId}`, {
+        code: req.body.code,
+      });
+
+      const promoCode = await PromoCodeService.createPromoCode(
+        req.body,
+        req.user.userId
+      );
+      res.status(201).json({ success: true, promoCode });
+    } catch (error) {
+      logger.error("❌ Erreur création code promo:", error);
+      res.status(error.statusCode || 500).json({
+        error: "Erreur lors de la création du code promo",
+        details: error.message,
+      });
+    }
+  }
+
+  // Désactiver un code promo
+  static async deactivatePromoCode(req, res) {
+    try {
+      const promoCode = await PromoCodeService.deactivatePromoCode(
+        req.params.code
+      );
+      res.json({ success: true, promoCode });
+    } catch (error) {
+      logger.error("❌ Erreur désactivation code promo:", error);
+      res.status(error.statusCode || 500).json({
+        error: "Erreur lors de la désactivation du code promo",
+        details: error.message,
+      });
+    }
+  }
+}
+
+module.exports = adminPromoCodeController;
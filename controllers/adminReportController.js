@@ -0,0 +1,20 @@
+const ReportService = require("../services/reportService");
+const { logger } = require("../utils/logger");
+
+class adminReportController {
+  // Rapport de revenus (?from, to), accès offerts comptés à part
+  static async getRevenueReport(req, res) {
+    try {
+      const report = await ReportService.getRevenueReport(req.query);
+      res.json(report);
+    } catch (error) {
+      logger.error("❌ Erreur rapport de revenus:", error);
+      res.status(error.statusCode || 500).json({
+        error: "Erreur lors de la génération du rapport de revenus",
+        details: error.message,
+      });
+    }
+  }
+}
+
+module.exports = adminReportController;
@@ -0,0 +1,149 @@
+const AdminSubscriptionService = require("../services/adminSubscriptionService");
+const { logger } = require("../utils/logger");
+
+// Exécute une action admin sur l'abonnement de :userId et formate la réponse
+async function runAction(req, res, action, params, errorMessage) {
+  try {
+    const { result, subscription } = await AdminSubscriptionService.performAction(
+      action,
+      req.params.userId,
+      params,
+      {
+        adminId: req.user.userId,
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+      }
+    );
+    res.json({ success: true, action, subscription, result });
+  } catch (error) {
+    logger.error(`❌ Erreur action admin ${action}:`, error);
+    res.status(error.statusCode || 500).json({
+      error: errorMessage,
+      details: error.message,
+    });
+  }
+}
+
+class adminSubscriptionController {
+  // Rechercher les abonnements (statut, plan, email, identifiants Stripe)
+  static async listSubscriptions(req, res) {
+    try {
+      const result = await AdminSubscriptionService.searchSubscriptions(req.query);
+      res.json(result);
+    } catch (error) {
+      logger.error("❌ Erreur admin listSubscriptions:", error);
+      res.status(500).json({ error: "Erreur serveur." });
+    }
+  }
+
+  // Détail de l'abonnement d'un utilisateur
+  static async getSubscription(req, res) {
+    try {
+      const result = await AdminSubscriptionService.getSubscription(
+        req.params.userId
+      );
+      res.json(result);
+    } catch (error) {
+      logger.error("❌ Erreur admin getSubscription:", error);
+      res.status(error.statusCode || 500).json({
+        error: "Erreur lors de la récupération de l'abonnement",
+        details: error.message,
+      });
+    }
+  }
+
+  // Annuler immédiatement ou en fin de période (body.immediate)
+  static async cancel(req, res) {
+    const { immediate, reason } = req.body;
+    return runAction(
+      req,
+      res,
+      immediate ? "cancel_immediately" : "cancel_at_period_end",
+      immediate ? { reason } : {},
+      "Erreur lors de l'annulation de l'abonnement"
+    );
+  }
+
+  // Réactiver un abonnement dont l'annulation est programmée
+  static async reactivate(req, res) {
+    return runAction(req, res, "reactivate", {}, "Erreur lors de la réactivation");
+  }
+
+  // Prolonger l'abonnement jusqu'à body.endDate
+  static async extend(req, res) {
+    return runAction(
+      req,
+      res,
+      "extend",
+      { endDate: req.body.endDate },
+      "Erreur lors de la prolongation de l'abonnement"
+    );
+  }
+
+  // Changer le plan de l'utilisateur
+  static async changePlan(req, res) {
+    const { newPlan, effective } = req.body;
+    return runAction(
+      req,
+      res,
+      "change_plan",
+      { newPlan, effective },
+      "Erreur lors du changement de plan"
+    );
+  }
+
+  // Rembourser et annuler immédiatement
+  static async refund(req, res) {
+    return runAction(
+      req,
+      res,
+      "refund",
+      { reason: req.body.reason },
+      "Erreur lors du remboursement"
+    );
+  }
+
+  // Resynchroniser l'abonnement depuis Stripe
+  static async resync(req, res) {
+    return runAction(req, res, "resync", {}, "Erreur lors de la resynchronisation");
+  }
+
+  // Offrir un accès premium (durée fixe ou illimitée, motif obligatoire)
+  static async grant(req, res) {
+    const { plan, endDate, durationDays, reason, category } = req.body;
+    return runAction(
+      req,
+      res,
+      "grant",
+      { plan, endDate, durationDays, reason, category },
+      "Erreur lors de l'attribution de l'accès offert"
+    );
+  }
+
+  // Révoquer un accès premium offert
+  static async revokeGrant(req, res) {
+    return runAction(
+      req,
+      res,
+      "revoke_grant",
+      { reason: req.body?.reason },
+      "Erreur lors de la révocation de l'accès offert"
+    );
+  }
+
+  // Journal d'audit des actions administrateur
+  static async listAuditLog(req, res) {
+    try {
+      const result = await AdminSubscriptionService.listAuditLog(req.query);
+      res.json(result);
+    } catch (error) {
+      logger.error("❌ Erreur admin listAuditLog:", error);
+      res.status(error.statusCode || 500).json({
+        error: "Erreur lors de la récupération du journal d'audit",
+        details: error.message,
+      });
+    }
+  }
+}
+
+module.exports = adminSubscriptionController;
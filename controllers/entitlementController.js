@@ -0,0 +1,56 @@
+const EntitlementService = require("../services/entitlementService");
+const mongoose = require("mongoose");
+const { logger } = require("../utils/logger");
+
+class entitlementController {
+  // Droits premium d'un utilisateur (appel service à service)
+  static async getEntitlements(req, res) {
+    try {
+      const { userId } = req.params;
+
+      if (!mongoose.isValidObjectId(userId)) {
+        return res.status(400).json({ message: "ID utilisateur invalide." });
+      }
+
+      const entitlements = await EntitlementService.getEntitlements(userId);
+      res.json(entitlements);
+    } catch (error) {
+      logger.error("❌ Erreur getEntitlements:", error);
+      res.status(500).json({ message: "Erreur serveur." });
+    }
+  }
+
+  // Droits premium de plusieurs utilisateurs
+  static async getEntitlementsBatch(req, res) {
+    try {
+      const { userIds } = req.body;
+
+      if (!Array.isArray(userIds) || userIds.length === 0) {
+        return res
+          .status(400)
+          .json({ message: "userIds doit être une liste non vide." });
+      }
+
+      if (userIds.length > EntitlementService.MAX_BATCH_SIZE) {
+        return res.status(400).json({
+          message: `${EntitlementService.MAX_BATCH_SIZE} utilisateurs maximum par requête.`,
+        });
+      }
+
+      const invalidIds = userIds.filter((id) => !mongoose.isValidObjectId(id));
+      if (invalidIds.length) {
+        return res
+          .status(400)
+          .json({ message: "ID utilisateur invalide.", invalidIds });
+      }
+
+      const entitlements = await EntitlementService.getEntitlementsBatch(userIds);
+      res.json({ entitlements });
+    } catch (error) {
+      logger.error("❌ Erreur getEntitlementsBatch:", error);
+      res.status(500).json({ message: "Erreur serveur." });
+    }
+  }
+}
+
+module.exports = entitlementController;
@@ -0,0 +1,102 @@
+const PaymentMethodService = require("../services/paymentMethodService");
+const { logger } = require("../utils/logger");
+
+class paymentMethodController {
+  // Ouvrir le portail de facturation Stripe
+  static async createPortalSession(req, res) {
+    try {
+      const userId = req.user?.userId || req.user?.id;
+      if (!userId)
+        return res.status(401).json({ error: "Utilisateur non authentifié" });
+
+      const session = await PaymentMethodService.createPortalSession(userId);
+      res.json({ url: session.url });
+    } catch (error) {
+      logger.error("❌ Erreur création session portail:", error);
+      res.status(error.statusCode || 500).json({
+        error: "Erreur lors de l'ouverture du portail de facturation",
+        details: error.message,
+      });
+    }
+  }
+
+  // Lister les cartes enregistrées
+  static async listPaymentMethods(req, res) {
+    try {
+      const userId = req.user?.userId || req.user?.id;
+      if (!userId)
+        return res.status(401).json({ error: "Utilisateur non authentifié" });
+
+      const paymentMethods = await PaymentMethodService.listPaymentMethods(userId);
+      res.json({ paymentMethods });
+    } catch (error) {
+      logger.error("❌ Erreur liste des cartes:", error);
+      res.status(error.statusCode || 500).json({
+        error: "Erreur lors de la récupération des cartes",
+        details: error.message,
+      });
+    }
+  }
+
+  // Préparer l'enregistrement d'une nouvelle carte (SetupIntent)
+  static async createSetupIntent(req, res) {
+    try {
+      const userId = req.user?.userId || req.user?.id;
+      if (!userId)
+        return res.status(401).json({ error: "Utilisateur non authentifié" });
+
+      const setupIntent = await PaymentMethodService.createSetupIntent(userId);
+      res.status(201).json(setupIntent);
+    } catch (error) {
+      logger.error("❌ Erreur création SetupIntent:", error);
+      res.status(error.statusCode || 500).json({
+        error: "Erreur lors de la préparation de l'ajout de carte",
+        details: error.message,
+      });
+    }
+  }
+
+  // Définir la carte par défaut
+  static async setDefaultPaymentMethod(req, res) {
+    try {
+      const userId = req.user?.userId || req.user?.id;
+      if (!userId)
+        return res.status(401).json({ error: "Utilisateur non authentifié" });
+
+      const paymentMethod = await PaymentMethodService.setDefaultPaymentMethod(
+        userId,
+        req.params.paymentMethodId
+      );
+      res.json({ success: true, paymentMethod });
+    } catch (error) {
+      logger.error("❌ Erreur carte par défaut:", error);
+      res.status(error.statusCode || 500).json({
+        error: "Erreur lors de la mise à jour de la carte par défaut",
+        details: error.message,
+      });
+    }
+  }
+
+  // Supprimer une carte enregistrée
+  static async removePaymentMethod(req, res) {
+    try {
+      const userId = req.user?.userId || req.user?.id;
+      if (!userId)
+        return res.status(401).json({ error: "Utilisateur non authentifié" });
+
+      const paymentMethod = await PaymentMethodService.removePaymentMethod(
+        userId,
+        req.params.paymentMethodId
+      );
+      res.json({ success: true, paymentMethod });
+    } catch (error) {
+      logger.error("❌ Erreur suppression carte:", error);
+      res.status(error.statusCode || 500).json({
+        error: "Erreur lors de la suppression de la carte",
+        details: error.message,
+      });
+    }
+  }
+}
+
+module.exports = paymentMethodController;
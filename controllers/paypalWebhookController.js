@@ -0,0 +1,143 @@
+const { logger } = require("../utils/logger");
+const SubscriptionIntegrationService = require("../services/subscriptionIntegrationService");
+const SubscriptionSyncService = require("../services/subscriptionSyncService");
+const PaymentProviders = require("../providers");
+const WebhookController = require("./webhookController");
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+class PayPalWebhookController {
+
+  // Réception d'un webhook PayPal (signature vérifiée auprès de l'API PayPal)
+  static async handlePayPalWebhook(req, res) {
+    let event;
+
+    try {
+      const payload = await PaymentProviders.getProvider("paypal").verifyWebhook(req);
+      // Même forme que les événements Stripe pour le registre des webhooks
+      event = { ...payload, type: payload.event_type };
+      logger.info(`📥 Webhook PayPal reçu: ${event.type}`);
+    } catch (err) {
+      logger.error(`❌ Erreur de vérification webhook PayPal: ${err.message}`);
+      return res.status(400).send(`Webhook Error: ${err.message}`);
+    }
+
+    return WebhookController.processWebhookEvent(event, res, {
+      provider: "paypal",
+      dispatch: PayPalWebhookController.dispatchWebhookEvent,
+    });
+  }
+
+  // Aiguillage du webhook selon le type d'événement PayPal
+  static async dispatchWebhookEvent(event) {
+    switch (event.type) {
+      case "BILLING.SUBSCRIPTION.ACTIVATED":
+      case "BILLING.SUBSCRIPTION.UPDATED":
+      case "BILLING.SUBSCRIPTION.SUSPENDED":
+      case "BILLING.SUBSCRIPTION.CANCELLED":
+      case "BILLING.SUBSCRIPTION.EXPIRED":
+        return PayPalWebhookController.handleSubscriptionChanged(event.resource);
+
+      case "PAYMENT.SALE.COMPLETED":
+        return PayPalWebhookController.handleSaleCompleted(event.resource);
+
+      case "BILLING.SUBSCRIPTION.PAYMENT.FAILED":
+        return PayPalWebhookController.handlePaymentFailed(event.resource, event.id);
+
+      default:
+        logger.info(`ℹ️ Événement PayPal non traité: ${event.type}`);
+        return { received: true, ignored: true };
+    }
+  }
+
+  // Synchronise l'état local avec l'abonnement PayPal
+  static async handleSubscriptionChanged(paypalSubscription) {
+    logger.info("[🔄] PayPal: abonnement modifié", {
+      id: paypalSubscription.id,
+      status: paypalSubscription.status,
+    });
+    return SubscriptionSyncService.syncPayPalSubscription(paypalSubscription);
+  }
+
+  // Paiement d'une échéance PayPal
+  static async handleSaleCompleted(sale) {
+    const paypalSubscriptionId = sale.billing_agreement_id;
+    if (!paypalSubscriptionId) {
+      logger.info("ℹ️ Paiement PayPal hors abonnement ignoré", { saleId: sale.id });
+      return { received: true, ignored: true };
+    }
+
+    const userId = await SubscriptionIntegrationService.getUserIdFromPayPalSubscription(
+      paypalSubscriptionId,
+      sale.custom
+    );
+    if (!userId) {
+      return { success: false, reason: "User not found" };
+    }
+
+    const recorded = await SubscriptionIntegrationService.recordSubscriptionPayment(
+      userId,
+      {
+        provider: "paypal",
+        amount: Number(sale.amount?.total || 0),
+        currency: sale.amount?.currency?.toLowerCase(),
+        transactionId: sale.id,
+        status: "success",
+        billingReason: "subscription_cycle",
+        paidAt: toDate(sale.create_time) || new Date(),
+      }
+    );
+
+    // Un paiement réussi lève une éventuelle suspension
+    const restored = await SubscriptionIntegrationService.restoreAfterPayment(userId);
+
+    // La fin de période suit la prochaine échéance PayPal
+    let refreshed = null;
+    try {
+      const paypalSubscription = await PaymentProviders.getProvider(
+        "paypal"
+      ).getSubscription({ paypalSubscriptionId });
+      const endDate = toDate(paypalSubscription.billing_info?.next_billing_time);
+      if (endDate && paypalSubscription.status === "ACTIVE") {
+        refreshed = await SubscriptionIntegrationService.updateSubscription(userId, {
+          endDate,
+        });
+      }
+    } catch (paypalError) {
+      logger.warn("[⚠️] Échéance PayPal non récupérée", {
+        paypalSubscriptionId,
+        error: paypalError.message,
+      });
+    }
+
+    return refreshed || restored || recorded;
+  }
+
+  // Échec d'une échéance : PayPal gère les relances et suspend l'abonnement
+  // au-delà du seuil d'échecs du plan (BILLING.SUBSCRIPTION.SUSPENDED)
+  static async handlePaymentFailed(paypalSubscription, eventId) {
+    const userId = await SubscriptionIntegrationService.getUserIdFromPayPalSubscription(
+      paypalSubscription.id,
+      paypalSubscription.custom_id
+    );
+    if (!userId) {
+      return { success: false, reason: "User not found" };
+    }
+
+    const failedPayment = paypalSubscription.billing_info?.last_failed_payment;
+    // failed_payments_count repart à zéro après un paiement réussi :
+    // chaque échec est identifié par sa date (ou par l'événement reçu)
+    const failureId = failedPayment?.time || eventId;
+
+    return SubscriptionIntegrationService.recordPaymentFailure(userId, {
+      provider: "paypal",
+      amount: Number(failedPayment?.amount?.value || 0),
+      currency: failedPayment?.amount?.currency_code?.toLowerCase(),
+      failureReason: failedPayment?.reason_code || "Échec inconnu",
+      transactionId: `${paypalSubscription.id}:${failureId}`,
+      attemptCount: paypalSubscription.billing_info?.failed_payments_count,
+    });
+  }
+}
+
+module.exports = PayPalWebhookController;
@@ -0,0 +1,33 @@
+const PlanService = require("../services/planService");
+const { logger } = require("../utils/logger");
+
+class planController {
+  // Catalogue public des plans (page de tarifs)
+  static async listPlans(req, res) {
+    try {
+      const plans = await PlanService.listActivePlans();
+      res.json({ plans: plans.map((plan) => plan.toPublicJSON()) });
+    } catch (error) {
+      logger.error("❌ Erreur listPlans:", error);
+      res.status(500).json({ message: "Erreur serveur." });
+    }
+  }
+
+  // Détail public d'un plan
+  static async getPlan(req, res) {
+    try {
+      const plan = await PlanService.getPlanByCode(req.params.code);
+
+      if (!plan) {
+        return res.status(404).json({ message: "Plan introuvable." });
+      }
+
+      res.json(plan.toPublicJSON());
+    } catch (error) {
+      logger.error("❌ Erreur getPlan:", error);
+      res.status(500).json({ message: "Erreur serveur." });
+    }
+  }
+}
+
+module.exports = planController;
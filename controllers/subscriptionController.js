@@ -1,7 +1,16 @@
 const SubscriptionIntegrationService = require("../services/subscriptionIntegrationService.js");
-const Stripe = require("stripe");
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+const PaymentService = require("../services/paymentService");
+const SubscriptionHistoryService = require("../services/subscriptionHistoryService");
+const PlanService = require("../services/planService");
+const PromoCodeService = require("../services/promoCodeService");
+const SubscriptionStreamService = require("../services/subscriptionStreamService");
+const WebhookController = require("./webhookController");
+const PaymentProviders = require("../providers");
 const { logger } = require("../utils/logger");
+const mongoose = require("mongoose");
+
+// Intervalle des commentaires SSE qui maintiennent la connexion ouverte
+const SSE_HEARTBEAT_MS = 25000;
 
 class subscriptionController {
   // Récupérer l'abonnement actif de l'utilisateur connecté
@@ -29,6 +38,50 @@ class subscriptionController {
     }
   }
 
+  // Flux SSE des changements de l'abonnement de l'utilisateur connecté
+  static async streamEvents(req, res) {
+    const userId = req.user?.userId || req.user?.id;
+    if (!userId)
+      return res.status(401).json({ error: "Utilisateur non authentifié" });
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Abonnement avant l'état initial pour ne manquer aucun changement
+    const unsubscribe = SubscriptionStreamService.subscribe(userId, (change) =>
+      send("subscription", change)
+    );
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), SSE_HEARTBEAT_MS);
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      logger.info(`[📡] Flux SSE fermé pour l'utilisateur ${userId}`);
+    });
+
+    logger.info(`[📡] Flux SSE ouvert pour l'utilisateur ${userId}`);
+
+    try {
+      const subscription =
+        await SubscriptionIntegrationService.getCurrentSubscription(userId);
+      send("snapshot", {
+        subscription: SubscriptionStreamService.toPayload(subscription),
+      });
+    } catch (error) {
+      logger.error("❌ Erreur état initial du flux SSE:", error);
+      send("error", { error: "Impossible de récupérer l'abonnement" });
+    }
+  }
+
   // Récupérer l'abonnement actif d'un utilisateur spécifique (admin ou le user lui-même)
   static async getUserSubscription(req, res) {
     const userId = req.params.userId;
@@ -55,6 +108,86 @@ class subscriptionController {
     }
   }
 
+  // Historique paginé des paiements de l'utilisateur connecté
+  static async getPaymentHistory(req, res) {
+    try {
+      const userId = req.user?.userId || req.user?.id;
+      if (!userId)
+        return res
+          .status(401)
+          .json({ message: "Utilisateur non authentifié." });
+
+      const { page, limit } = req.query;
+      const history = await PaymentService.listForUser(userId, { page, limit });
+
+      res.json(history);
+    } catch (error) {
+      logger.error("❌ Erreur getPaymentHistory:", error);
+      res.status(500).json({ message: "Erreur serveur." });
+    }
+  }
+
+  // Historique paginé des paiements d'un utilisateur spécifique (admin)
+  static async getUserPaymentHistory(req, res) {
+    try {
+      const { userId } = req.params;
+      if (!mongoose.isValidObjectId(userId)) {
+        return res.status(400).json({ message: "ID utilisateur invalide." });
+      }
+      const { page, limit } = req.query;
+
+      const history = await PaymentService.listForUser(userId, { page, limit });
+
+      res.json(history);
+    } catch (error) {
+      logger.error("❌ Erreur getUserPaymentHistory:", error);
+      res.status(500).json({ message: "Erreur serveur." });
+    }
+  }
+
+  // Historique paginé des changements de l'abonnement de l'utilisateur connecté
+  static async getHistory(req, res) {
+    try {
+      const userId = req.user?.userId || req.user?.id;
+      if (!userId)
+        return res
+          .status(401)
+          .json({ message: "Utilisateur non authentifié." });
+
+      const { page, limit } = req.query;
+      const history = await SubscriptionHistoryService.listForUser(userId, {
+        page,
+        limit,
+      });
+
+      res.json(history);
+    } catch (error) {
+      logger.error("❌ Erreur getHistory:", error);
+      res.status(500).json({ message: "Erreur serveur." });
+    }
+  }
+
+  // Historique paginé des changements d'abonnement d'un utilisateur spécifique (admin)
+  static async getUserHistory(req, res) {
+    try {
+      const { userId } = req.params;
+      if (!mongoose.isValidObjectId(userId)) {
+        return res.status(400).json({ message: "ID utilisateur invalide." });
+      }
+      const { page, limit } = req.query;
+
+      const history = await SubscriptionHistoryService.listForUser(userId, {
+        page,
+        limit,
+      });
+
+      res.json(history);
+    } catch (error) {
+      logger.error("❌ Erreur getUserHistory:", error);
+      res.status(500).json({ message: "Erreur serveur." });
+    }
+  }
+
   // Annuler l'abonnement à la fin de la période de facturation
   static async cancel(req, res) {
     try {
@@ -106,7 +239,7 @@ class subscriptionController {
       });
     } catch (err) {
       logger.error("❌ Erreur annulation abonnement:", err);
-      res.status(500).json({
+      res.status(err.statusCode || 500).json({
         error: "Erreur lors de l'annulation de l'abonnement",
         details: err.message,
       });
@@ -132,27 +265,111 @@ class subscriptionController {
       });
     } catch (error) {
       logger.error("❌ Erreur réactivation abonnement:", error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         error: "Erreur lors de la réactivation de l'abonnement",
         details: error.message,
       });
     }
   }
 
+  // Mettre en pause la facturation jusqu'à une date de reprise
+  static async pause(req, res) {
+    try {
+      const userId = req.user?.userId || req.user?.id;
+      if (!userId)
+        return res.status(401).json({ error: "Utilisateur non authentifié" });
+
+      const { resumeDate } = req.body;
+      logger.info(`[⏸️] Demande de pause pour l'utilisateur ${userId}`, {
+        resumeDate,
+      });
+
+      const result = await SubscriptionIntegrationService.pauseSubscription(
+        userId,
+        { resumeDate }
+      );
+
+      res.json({
+        success: true,
+        subscription: result,
+        message: `Abonnement en pause jusqu'au ${new Date(resumeDate).toLocaleDateString("fr-FR")}`,
+      });
+    } catch (error) {
+      logger.error("❌ Erreur mise en pause abonnement:", error);
+      res.status(error.statusCode || 500).json({
+        error: "Erreur lors de la mise en pause de l'abonnement",
+        details: error.message,
+      });
+    }
+  }
+
+  // Reprendre la facturation d'un abonnement en pause
+  static async resume(req, res) {
+    try {
+      const userId = req.user?.userId || req.user?.id;
+      if (!userId)
+        return res.status(401).json({ error: "Utilisateur non authentifié" });
+
+      logger.info(`[▶️] Demande de reprise pour l'utilisateur ${userId}`);
+
+      const result =
+        await SubscriptionIntegrationService.resumeSubscription(userId);
+
+      res.json({
+        success: true,
+        subscription: result,
+        message: "Abonnement repris avec succès !",
+      });
+    } catch (error) {
+      logger.error("❌ Erreur reprise abonnement:", error);
+      res.status(error.statusCode || 500).json({
+        error: "Erreur lors de la reprise de l'abonnement",
+        details: error.message,
+      });
+    }
+  }
+
+  // Aperçu du changement de plan calculé par Stripe (proratisation incluse)
+  static async previewPlanChange(req, res) {
+    try {
+      const userId = req.user?.userId || req.user?.id;
+      const { newPlan } = req.query;
+
+      if (!userId) {
+        return res.status(401).json({ error: "Utilisateur non authentifié" });
+      }
+
+      if (!(await PlanService.isValidPlanCode(newPlan))) {
+        return res.status(400).json({ error: "Plan invalide" });
+      }
+
+      const preview = await SubscriptionIntegrationService.previewPlanChange(
+        userId,
+        newPlan
+      );
+
+      res.json(preview);
+    } catch (error) {
+      logger.error("❌ Erreur aperçu changement plan:", error);
+      res.status(500).json({
+        error: "Erreur lors du calcul de l'aperçu",
+        details: error.message,
+      });
+    }
+  }
+
   // Changer le plan d'abonnement (mensuel ↔ annuel)
   static async changePlan(req, res) {
     try {
       const userId = req.user?.userId || req.user?.id;
-      const { newPlan } = req.body;
+      const { newPlan, prorationDate, effective } = req.body;
 
       if (!userId) {
         return res.status(401).json({ error: "Utilisateur non authentifié" });
       }
 
-      if (!["monthly", "annual"].includes(newPlan)) {
-        return res
-          .status(400)
-          .json({ error: "Plan invalide. Utilisez 'monthly' ou 'annual'" });
+      if (!(await PlanService.isValidPlanCode(newPlan))) {
+        return res.status(400).json({ error: "Plan invalide" });
       }
 
       logger.info(
@@ -161,45 +378,79 @@ class subscriptionController {
 
       const result = await SubscriptionIntegrationService.changePlan(
         userId,
-        newPlan
+        newPlan,
+        { prorationDate, effective }
       );
 
+      const scheduled = result.effective === "period_end";
+
       res.json({
         success: true,
         subscription: result.subscription,
-        message: `Plan changé avec succès de ${result.oldPlan} vers ${result.newPlan}`,
+        message: scheduled
+          ? `Passage de ${result.oldPlan} vers ${result.newPlan} programmé pour le ${result.effectiveDate.toLocaleDateString("fr-FR")}`
+          : `Plan changé avec succès de ${result.oldPlan} vers ${result.newPlan}`,
         oldPlan: result.oldPlan,
         newPlan: result.newPlan,
+        effective: result.effective,
+        effectiveDate: result.effectiveDate,
+        pendingPlanChange: result.subscription?.pendingPlanChange || null,
+        // Révision à approuver chez le fournisseur (PayPal)
+        ...(result.approvalUrl && { approvalUrl: result.approvalUrl }),
         prorationAmount: result.prorationAmount,
+        prorationInvoice: result.prorationInvoice,
       });
     } catch (error) {
       logger.error("❌ Erreur changement plan:", error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         error: "Erreur lors du changement de plan",
         details: error.message,
       });
     }
   }
 
+  // Annuler un changement de plan programmé pour la fin de période
+  static async cancelPendingPlanChange(req, res) {
+    try {
+      const userId = req.user?.userId || req.user?.id;
+
+      if (!userId) {
+        return res.status(401).json({ error: "Utilisateur non authentifié" });
+      }
+
+      const subscription =
+        await SubscriptionIntegrationService.cancelPendingPlanChange(userId);
+
+      res.json({
+        success: true,
+        subscription,
+        message: "Changement de plan programmé annulé",
+      });
+    } catch (error) {
+      logger.error("❌ Erreur annulation changement programmé:", error);
+      res.status(500).json({
+        error: "Erreur lors de l'annulation du changement de plan",
+        details: error.message,
+      });
+    }
+  }
+
   // Créer une session Stripe Checkout pour souscrire à un abonnement
   static async createCheckoutSession(req, res) {
     try {
-      const { plan } = req.body;
+      const { plan, promoCode, provider: providerName = "stripe" } = req.body;
       const user = req.user;
 
-      if (!["monthly", "annual"].includes(plan)) {
+      const selectedPlan = await PlanService.getPlanByCode(plan);
+      if (!selectedPlan) {
         return res.status(400).json({ error: "Plan invalide" });
       }
 
-      const priceId =
-        plan === "annual"
-          ? process.env.STRIPE_PRICE_ANNUAL_ID
-          : process.env.STRIPE_PRICE_MONTHLY_ID;
-
-      if (!priceId) {
-        return res.status(500).json({
-          error: "Price ID non défini dans les variables d'environnement",
-        });
+      let provider;
+      try {
+        provider = PaymentProviders.getProvider(providerName);
+      } catch (providerError) {
+        return res.status(400).json({ error: providerError.message });
       }
 
       const userId = user?.userId || user?.id;
@@ -209,38 +460,133 @@ class subscriptionController {
           .json({ error: "ID utilisateur manquant dans le token JWT" });
       }
 
-      logger.debug("🔥 checkout metadata:", { userId, email: user.email });
-
-      const session = await stripe.checkout.sessions.create({
-        payment_method_types: ["card"],
-        mode: "subscription",
-        customer_email: user.email,
-        line_items: [
-          {
-            price: priceId,
-            quantity: 1,
-          },
-        ],
-        metadata: {
+      // Un seul abonnement en cours par utilisateur
+      try {
+        await SubscriptionIntegrationService.assertCanSubscribe(userId);
+      } catch (conflictError) {
+        if (conflictError.statusCode !== 409) throw conflictError;
+        return res.status(409).json({
+          error: conflictError.message,
+          action: conflictError.action,
+          status: conflictError.subscription.status,
+          redirectUrl: `${process.env.CLIENT_URL}/premium/manage`,
+        });
+      }
+
+      // Code saisi dans l'application, sinon champ code promo de Stripe Checkout
+      let promo = null;
+      if (promoCode) {
+        try {
+          promo = await PromoCodeService.resolveForCheckout(
+            promoCode,
+            selectedPlan.code
+          );
+        } catch (promoError) {
+          return res.status(promoError.statusCode || 400).json({
+            error: promoError.message,
+          });
+        }
+      }
+
+      // Essai gratuit uniquement si le plan en propose un et qu'il n'a jamais été utilisé
+      const trialDays =
+        provider.supportsTrials &&
+        selectedPlan.trialDays > 0 &&
+        (await SubscriptionIntegrationService.isTrialEligible(userId))
+          ? selectedPlan.trialDays
+          : 0;
+
+      const session = await provider.createCheckout({
+        userId,
+        email: user.email,
+        plan: selectedPlan,
+        trialDays,
+        promo,
+      });
+
+      res.status(200).json({ url: session.url, trialDays, provider: provider.name });
+    } catch (error) {
+      logger.error("❌ Erreur Checkout:", error);
+      res.status(error.statusCode || 500).json({
+        error: "Erreur lors de la création de la session de paiement",
+        details: error.message,
+      });
+    }
+  }
+
+  // Vérifier une session Checkout depuis la page de succès (active l'abonnement si le webhook tarde)
+  static async verifyCheckoutSession(req, res) {
+    try {
+      const userId = req.user?.userId || req.user?.id;
+      const { sessionId } = req.params;
+
+      if (!userId) {
+        return res.status(401).json({ error: "Utilisateur non authentifié" });
+      }
+
+      let session;
+      try {
+        session = await PaymentProviders.getProvider("stripe").getCheckoutSession(
+          sessionId
+        );
+      } catch (stripeError) {
+        logger.warn("[⚠️] Session Checkout introuvable", {
+          sessionId,
+          error: stripeError.message,
+        });
+        return res.status(404).json({ error: "Session Checkout introuvable" });
+      }
+
+      const owner = session.metadata?.userId || session.client_reference_id;
+      if (String(owner) !== String(userId)) {
+        logger.warn("[⛔] Session Checkout d'un autre utilisateur", {
+          sessionId,
           userId,
-          plan,
-        },
-        subscription_data: {
-          metadata: {
-            userId,
-            plan,
-          },
-        },
-        success_url: `${process.env.CLIENT_URL}/premium/success`,
-        cancel_url: `${process.env.CLIENT_URL}/premium/cancel`,
+        });
+        return res.status(403).json({ error: "Accès refusé à cette session" });
+      }
+
+      if (session.status === "expired") {
+        return res.status(410).json({ status: "expired" });
+      }
+
+      const paid =
+        session.status === "complete" &&
+        ["paid", "no_payment_required"].includes(session.payment_status);
+
+      if (!paid) {
+        return res.status(202).json({
+          status: session.status === "open" ? "open" : "processing",
+        });
+      }
+
+      let alreadyProcessed = false;
+      try {
+        const result = await WebhookController.activateCheckoutSession(session);
+        alreadyProcessed = !!result?.alreadyProcessed;
+      } catch (activationError) {
+        // Le webhook est en train d'activer la même session
+        if (activationError.statusCode === 409) {
+          return res.status(202).json({ status: "processing" });
+        }
+        throw activationError;
+      }
+
+      logger.info(`[✅] Session Checkout ${sessionId} vérifiée`, {
+        userId,
+        alreadyProcessed,
       });
 
-      res.status(200).json({ url: session.url });
+      const subscription =
+        await SubscriptionIntegrationService.getCurrentSubscription(userId);
+
+      res.json({ status: "complete", alreadyProcessed, subscription });
     } catch (error) {
-      logger.error("❌ Erreur Checkout Stripe:", error);
-      res
-        .status(500)
-        .json({ error: "Erreur lors de la création de la session Stripe" });
+      logger.error("❌ Erreur vérification session Checkout:", error);
+      res.status(500).json({
+        error: "Erreur lors de la vérification de la session",
+        details: error.message,
+      });
     }
   }
 
@@ -266,6 +612,14 @@ class subscriptionController {
         });
       }
 
+      if (subscription.paymentMethod === "manual") {
+        return res.json({
+          eligible: false,
+          subscriptionStatus: subscription.status,
+          reason: "Accès premium offert : aucun paiement à rembourser",
+        });
+      }
+
       const now = new Date();
       let subscriptionStartDate = null;
       let daysSinceStart = 0;
@@ -300,7 +654,10 @@ class subscriptionController {
         }
       }
 
-      const maxRefundDays = 7;
+      const currentPlan = await PlanService.getPlanByCode(subscription.plan, {
+        activeOnly: false,
+      });
+      const maxRefundDays = currentPlan?.refundWindowDays ?? 7;
       const daysRemainingForRefund = Math.max(
         0,
         maxRefundDays - daysSinceStart
@@ -394,7 +751,10 @@ class subscriptionController {
         }
       }
 
-      const maxRefundDays = 7;
+      const currentPlan = await PlanService.getPlanByCode(subscription.plan, {
+        activeOnly: false,
+      });
+      const maxRefundDays = currentPlan?.refundWindowDays ?? 7;
       const isEligible =
         daysSinceStart <= maxRefundDays && subscription.status === "active";
 
@@ -410,32 +770,22 @@ class subscriptionController {
         });
       }
 
-      let refundAmount = 0;
-      if (subscription.plan === "monthly") {
-        refundAmount = 5;
-      } else if (subscription.plan === "annual") {
-        refundAmount = 45;
-      }
-
       logger.info(`[💰] Remboursement éligible`, {
         userId,
         plan: subscription.plan,
-        refundAmount,
         daysSinceStart,
       });
 
-      const updatedSubscription =
-        await SubscriptionIntegrationService.updateSubscription(userId, {
-          status: "canceled",
-          isActive: false,
-          cancelationType: "immediate",
-          endDate: new Date(),
-          updateUserRole: true,
+      const { subscription: updatedSubscription, refund } =
+        await SubscriptionIntegrationService.refundSubscription(userId, {
+          reason,
         });
 
       logger.info(`[💰] Remboursement traité avec succès`, {
         userId,
-        refundAmount,
+        refundId: refund.id,
+        refundAmount: refund.amount / 100,
+        refundStatus: updatedSubscription.refundStatus,
         plan: subscription.plan,
         reason,
       });
@@ -444,8 +794,10 @@ class subscriptionController {
         success: true,
         message: "Remboursement demandé avec succès",
         refund: {
-          amount: refundAmount,
-          currency: "EUR",
+          id: refund.id,
+          amount: refund.amount / 100,
+          currency: refund.currency?.toUpperCase() || "EUR",
+          status: updatedSubscription.refundStatus,
           processingTime: "3-5 jours ouvrés",
           plan: subscription.plan,
           reason: reason || "Demande client",
@@ -454,7 +806,7 @@ class subscriptionController {
       });
     } catch (error) {
       logger.error("❌ Erreur demande remboursement:", error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         error: "Erreur lors de la demande de remboursement",
         details: error.message,
       });
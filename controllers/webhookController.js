@@ -1,29 +1,19 @@
-const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
 const { logger } = require("../utils/logger");
 const SubscriptionIntegrationService = require("../services/subscriptionIntegrationService");
 const NotificationService = require("../services/notificationService");
-
-// Fonction pour calculer correctement les dates d'abonnement
-function calculateSubscriptionDates(plan, startDate = new Date()) {
+const WebhookEventService = require("../services/webhookEventService");
+const PaymentService = require("../services/paymentService");
+const PlanService = require("../services/planService");
+const PromoCodeService = require("../services/promoCodeService");
+const AuditContext = require("../utils/auditContext");
+const PaymentProviders = require("../providers");
+const SubscriptionStateMachine = require("../services/subscriptionStateMachine");
+const SubscriptionSyncService = require("../services/subscriptionSyncService");
+
+// Calcule les dates d'abonnement selon la période de facturation du plan
+async function calculateSubscriptionDates(plan, startDate = new Date()) {
   const start = new Date(startDate);
-  let endDate = new Date(start);
-
-  switch (plan) {
-    case "monthly":
-      endDate.setMonth(endDate.getMonth() + 1);
-      break;
-
-    case "annual":
-      endDate.setFullYear(endDate.getFullYear() + 1);
-      break;
-
-    case "premium":
-      endDate.setMonth(endDate.getMonth() + 1);
-      break;
-
-    default:
-      endDate.setMonth(endDate.getMonth() + 1);
-  }
+  const endDate = await PlanService.calculatePeriodEnd(plan, start);
 
   return {
     startDate: start,
@@ -35,12 +25,10 @@ class WebhookController {
 
   // Réception d’un webhook Stripe (signé)
   static async handleStripeWebhook(req, res) {
-    const sig = req.headers["stripe-signature"];
-    const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
     let event;
 
     try {
-      event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
+      event = await PaymentProviders.getProvider("stripe").verifyWebhook(req);
       logger.info(`📥 Webhook Stripe reçu: ${event.type}`);
     } catch (err) {
       logger.error(`❌ Erreur de signature webhook: ${err.message}`);
@@ -53,50 +41,122 @@ class WebhookController {
   // Simulation de webhook Stripe (non signé)
   static async handleStripeWebhookTest(req, res) {
     const event = req.body;
+    if (!event.id) event.id = `evt_test_${Date.now()}`;
     logger.info(`🧪 Test webhook Stripe: ${event.type}`);
     return WebhookController.processWebhookEvent(event, res);
   }
 
-  // Traitement du webhook selon le type d’événement Stripe
-  static async processWebhookEvent(event, res) {
+  // Traitement idempotent du webhook : chaque event.id n'est exécuté qu'une fois
+  static async processWebhookEvent(
+    event,
+    res,
+    { provider = "stripe", dispatch = WebhookController.dispatchWebhookEvent } = {}
+  ) {
+    let claim;
     try {
-      switch (event.type) {
-        case "checkout.session.completed":
-          return res.json(
-            await WebhookController.handleCheckoutSessionCompleted(
-              event.data.object
-            )
-          );
+      claim = await WebhookEventService.claim(event, provider);
+    } catch (error) {
+      logger.error(`❌ Erreur enregistrement webhook ${event.id}: ${error.message}`);
+      return res.status(500).json({ received: false, error: error.message });
+    }
 
-        case "customer.subscription.deleted":
-          return res.json(
-            await WebhookController.handleSubscriptionDeleted(event.data.object)
-          );
+    if (!claim.claimed) {
+      if (claim.event?.status === "succeeded") {
+        return res.status(200).json({ received: true, duplicate: true });
+      }
+      // Traitement en cours sur une autre requête : le fournisseur réessaiera plus tard
+      return res.status(409).json({ received: true, inProgress: true });
+    }
 
-        case "customer.subscription.updated":
-          return res.json(
-            await WebhookController.handleSubscriptionUpdated(event.data.object)
-          );
+    try {
+      const result = await AuditContext.run(
+        { source: "webhook", sourceRef: event.type, eventId: event.id },
+        () => dispatch(event)
+      );
+      await WebhookEventService.markSucceeded(event.id);
+      return res.json(result);
+    } catch (error) {
+      logger.error(`❌ Erreur processWebhookEvent: ${error.message}`);
+      try {
+        await WebhookEventService.markFailed(event.id, error);
+      } catch (storeError) {
+        logger.error(
+          `❌ Impossible de marquer le webhook ${event.id} en échec: ${storeError.message}`
+        );
+      }
+      // Statut 500 pour que le fournisseur réessaie la livraison
+      return res.status(500).json({ received: true, error: error.message });
+    }
+  }
 
-        case "invoice.paid":
-          return res.json(
-            await WebhookController.handleInvoicePaid(event.data.object)
-          );
+  // Aiguillage du webhook selon le type d’événement Stripe
+  static async dispatchWebhookEvent(event) {
+    switch (event.type) {
+      case "checkout.session.completed":
+        return WebhookController.activateCheckoutSession(event.data.object);
 
-        case "invoice.payment_failed":
-          return res.json(
-            await WebhookController.handleInvoicePaymentFailed(
-              event.data.object
-            )
-          );
+      case "customer.subscription.deleted":
+        return WebhookController.handleSubscriptionDeleted(event.data.object);
+
+      case "customer.subscription.updated":
+        return WebhookController.handleSubscriptionUpdated(event.data.object);
+
+      case "customer.subscription.trial_will_end":
+        return WebhookController.handleTrialWillEnd(event.data.object);
+
+      case "invoice.paid":
+        return WebhookController.handleInvoicePaid(event.data.object);
 
-        default:
-          logger.info(`ℹ️ Événement Stripe non traité: ${event.type}`);
-          return res.status(200).json({ received: true, ignored: true });
+      case "invoice.payment_failed":
+        return WebhookController.handleInvoicePaymentFailed(event.data.object);
+
+      case "charge.refunded":
+        return WebhookController.handleChargeRefunded(event.data.object);
+
+      case "refund.updated":
+        return WebhookController.handleRefundUpdated(event.data.object);
+
+      default:
+        logger.info(`ℹ️ Événement Stripe non traité: ${event.type}`);
+        return { received: true, ignored: true };
+    }
+  }
+
+  // Activation d'une session Checkout, une seule fois (webhook ou page de succès)
+  static async activateCheckoutSession(session) {
+    // Les simulations réutilisent le même ID de session : pas de déduplication
+    if (session.id === "cs_test_simulated") {
+      return WebhookController.handleCheckoutSessionCompleted(session);
+    }
+
+    const activationId = `checkout_session:${session.id}`;
+    const claim = await WebhookEventService.claim({
+      id: activationId,
+      type: "checkout.session.activation",
+      data: { object: session },
+    });
+
+    if (!claim.claimed) {
+      if (claim.event?.status === "succeeded") {
+        logger.info(`[🔁] Session Checkout ${session.id} déjà activée`);
+        return { alreadyProcessed: true };
       }
+      const error = new Error(
+        `Activation de la session Checkout ${session.id} déjà en cours`
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+
+    try {
+      const result = await WebhookController.handleCheckoutSessionCompleted(
+        session
+      );
+      await WebhookEventService.markSucceeded(activationId);
+      return result;
     } catch (error) {
-      logger.error(`❌ Erreur processWebhookEvent: ${error.message}`);
-      return res.status(200).json({ received: true, error: error.message });
+      await WebhookEventService.markFailed(activationId, error);
+      throw error;
     }
   }
 
@@ -117,16 +177,22 @@ class WebhookController {
 
     let stripeSubscriptionId = null;
     let stripePriceId = null;
+    let trialEnd = null;
+    let discount = null;
     let plan = planFromMetadata || "monthly";
     const now = new Date();
 
     if (session.subscription && !isTest) {
       try {
-        const stripeSub = await stripe.subscriptions.retrieve(
-          session.subscription
-        );
+        const stripeSub = await PaymentProviders.getProvider(
+          "stripe"
+        ).getSubscription({ stripeSubscriptionId: session.subscription });
         stripeSubscriptionId = stripeSub.id;
         stripePriceId = stripeSub.items.data[0]?.price?.id;
+        discount = await PromoCodeService.describeDiscount(stripeSub.discount);
+        if (stripeSub.status === "trialing" && stripeSub.trial_end) {
+          trialEnd = new Date(stripeSub.trial_end * 1000);
+        }
 
         if (stripePriceId) {
           plan = await SubscriptionIntegrationService.getPlanFromStripePrice(
@@ -140,7 +206,9 @@ class WebhookController {
       }
     }
 
-    const { startDate, endDate } = calculateSubscriptionDates(plan, now);
+    const { startDate, endDate } = trialEnd
+      ? { startDate: now, endDate: trialEnd }
+      : await calculateSubscriptionDates(plan, now);
 
     console.log(`📅 Dates calculées pour plan ${plan}:`, {
       startDate: startDate.toISOString(),
@@ -150,31 +218,74 @@ class WebhookController {
       )} jours`,
     });
 
-    const updated = await SubscriptionIntegrationService.updateSubscription(
+    const updated = await SubscriptionStateMachine.apply(
       userId,
+      trialEnd ? "start_trial" : "activate",
       {
         plan,
-        status: "active",
         paymentMethod: "stripe",
-        isActive: true,
+        // Un abonnement payé remplace un éventuel accès offert
+        grant: null,
         sessionId: session.id,
         stripeCustomerId: session.customer,
         stripeSubscriptionId,
         stripePriceId,
+        paypalSubscriptionId: null,
         startDate: startDate,
         endDate: endDate,
         lastPaymentDate: now,
         lastTransactionId: session.payment_intent || session.id,
-        updateUserRole: true,
-        cancelationType: null,
         refundStatus: "none",
         refundAmount: 0,
         refundDate: null,
         refundReason: null,
-        paymentStatus: "success",
+        paymentStatus: trialEnd ? "pending" : "success",
+        discount,
+        ...(trialEnd && { trialUsedAt: now, trialEndDate: trialEnd }),
       }
     );
 
+    if (trialEnd) {
+      logger.info(`[🎁] Essai gratuit démarré pour ${userId} jusqu'au ${trialEnd}`);
+
+      try {
+        const User = require("../models/User");
+        const user = await User.findById(userId);
+
+        if (user?.email) {
+          await NotificationService.sendSubscriptionStarted(user.email, {
+            plan,
+            startDate: now,
+            amount: 0,
+            trialEndDate: trialEnd,
+          });
+        }
+      } catch (notificationError) {
+        logger.warn(
+          "⚠️ Erreur notification début d'essai:",
+          notificationError.message
+        );
+      }
+
+      return updated;
+    }
+
+    await PaymentService.record({
+      userId,
+      subscriptionId: updated._id,
+      reference: session.invoice || session.id,
+      type: "payment",
+      status: "succeeded",
+      amount: (session.amount_total || 0) / 100,
+      currency: session.currency,
+      plan,
+      billingReason: "subscription_create",
+      stripeInvoiceId: session.invoice || undefined,
+      stripePaymentIntentId: session.payment_intent || undefined,
+      stripeSessionId: session.id,
+      occurredAt: now,
+    });
+
     try {
       const User = require("../models/User");
       const user = await User.findById(userId);
@@ -189,6 +300,11 @@ class WebhookController {
           },
           {
             amount: session.amount_total / 100,
+            subtotal: (session.amount_subtotal ?? session.amount_total) / 100,
+            discount: discount && {
+              code: discount.code,
+              amount: (session.total_details?.amount_discount || 0) / 100,
+            },
             currency: session.currency,
             transactionId: session.payment_intent || session.id,
           }
@@ -216,66 +332,79 @@ class WebhookController {
 
   static async handleSubscriptionUpdated(subscription) {
     logger.info("[🔄] Stripe: customer.subscription.updated");
+    return SubscriptionSyncService.syncStripeSubscription(subscription);
+  }
+
+  static async handleTrialWillEnd(subscription) {
+    logger.info("[⏳] Stripe: customer.subscription.trial_will_end");
 
-    const customerId = subscription.customer;
     const userId = await SubscriptionIntegrationService.getUserIdFromCustomerId(
-      customerId
+      subscription.customer
     );
 
     if (!userId) {
-      logger.warn(`❌ Aucun userId pour customerId: ${customerId}`);
+      logger.warn(`❌ Aucun userId pour customerId: ${subscription.customer}`);
       return { success: false, reason: "User not found" };
     }
 
-    let plan = "premium";
-    if (subscription.items.data.length > 0) {
-      const priceId = subscription.items.data[0].price.id;
-      plan = SubscriptionIntegrationService.getPlanFromStripePrice(priceId);
+    const price = subscription.items?.data[0]?.price;
+    const plan = price
+      ? await SubscriptionIntegrationService.getPlanFromStripePrice(price.id)
+      : null;
+
+    try {
+      const User = require("../models/User");
+      const user = await User.findById(userId);
+
+      if (user?.email) {
+        await NotificationService.sendTrialEnding(user.email, {
+          plan,
+          trialEndDate: new Date(subscription.trial_end * 1000),
+          amount: price?.unit_amount ? price.unit_amount / 100 : null,
+          currency: price?.currency,
+        });
+      }
+    } catch (notificationError) {
+      logger.warn(
+        "⚠️ Erreur notification fin d'essai:",
+        notificationError.message
+      );
     }
 
-    const endDate = new Date(subscription.current_period_end * 1000);
+    return { received: true, userId };
+  }
 
-    const updateData = {
-      plan,
-      stripeSubscriptionId: subscription.id,
-      endDate,
-      updateUserRole: false,
-    };
-
-    logger.info(`[🔍] Statut reçu:`, {
-      status: subscription.status,
-      cancel_at_period_end: subscription.cancel_at_period_end,
-      current_period_end: endDate,
-    });
+  static async handleSubscriptionDeleted(subscription) {
+    logger.info("[🗑️] Stripe: customer.subscription.deleted");
+    return SubscriptionSyncService.endStripeSubscription(subscription);
+  }
+
+  static async handleChargeRefunded(charge) {
+    logger.info("[💸] Stripe: charge.refunded");
 
-    if (subscription.cancel_at_period_end === true) {
-      logger.info(
-        `[📅] Abonnement programmé pour annulation à la fin: ${endDate}`
+    const refunds = await PaymentProviders.getProvider("stripe").listRefunds(
+      charge.id
+    );
+
+    const results = [];
+    for (const refund of refunds) {
+      const updated = await SubscriptionIntegrationService.applyRefundStatus(
+        refund
       );
-      updateData.status = "canceled";
-      updateData.isActive = true;
-      updateData.cancelationType = "end_of_period";
-    } else if (subscription.status === "active") {
-      logger.info(`[✅] Abonnement réactivé`);
-      updateData.status = "active";
-      updateData.isActive = true;
-      updateData.cancelationType = null;
-      updateData.updateUserRole = true;
-    } else {
-      logger.info(`[ℹ️] Mise à jour normale`);
-      updateData.status = subscription.status;
-      updateData.isActive = subscription.status === "active";
-      if (subscription.status !== "active") {
-        updateData.updateUserRole = true;
-      }
+      if (updated) results.push(updated);
     }
 
-    logger.debug(`[🛠️] Données de mise à jour pour ${userId}:`, updateData);
+    return { received: true, updated: results.length };
+  }
 
-    return SubscriptionIntegrationService.updateSubscription(
-      userId,
-      updateData
+  static async handleRefundUpdated(refund) {
+    logger.info(`[💸] Stripe: refund.updated (${refund.status})`);
+
+    const updated = await SubscriptionIntegrationService.applyRefundStatus(
+      refund
     );
+
+    return updated || { received: true, ignored: true };
   }
 
   static async handleInvoicePaid(invoice) {
@@ -284,14 +413,30 @@ class WebhookController {
       customerId
     );
 
-    return SubscriptionIntegrationService.recordSubscriptionPayment(userId, {
+    const recorded = await SubscriptionIntegrationService.recordSubscriptionPayment(userId, {
       amount: invoice.amount_paid / 100,
       currency: invoice.currency,
       transactionId: invoice.id,
       invoiceId: invoice.id,
       status: "success",
       isRenewal: invoice.billing_reason === "subscription_cycle",
+      billingReason: invoice.billing_reason,
+      chargeId: invoice.charge,
+      paymentIntentId: invoice.payment_intent,
+      invoiceNumber: invoice.number,
+      invoiceUrl: invoice.hosted_invoice_url,
+      invoicePdf: invoice.invoice_pdf,
+      paidAt: invoice.status_transitions?.paid_at
+        ? new Date(invoice.status_transitions.paid_at * 1000)
+        : new Date(),
     });
+
+    // Un paiement réussi met fin aux relances et lève une éventuelle suspension
+    const restored = userId
+      ? await SubscriptionIntegrationService.restoreAfterPayment(userId)
+      : null;
+
+    return restored || recorded;
   }
 
   static async handleInvoicePaymentFailed(invoice) {
@@ -308,28 +453,25 @@ class WebhookController {
         failureReason: invoice.last_payment_error?.message || "Échec inconnu",
         transactionId: invoice.payment_intent || invoice.id,
         invoiceId: invoice.id,
+        attemptCount: invoice.attempt_count,
+        invoiceNumber: invoice.number,
+        invoiceUrl: invoice.hosted_invoice_url,
       }
     );
 
-    try {
-      const User = require("../models/User");
-      const user = await User.findById(userId);
-
-      if (user?.email) {
-        await NotificationService.sendPaymentFailed(user.email, {
-          amount: invoice.amount_due / 100,
-          failureReason: invoice.last_payment_error?.message || "Échec inconnu",
-          nextAttempt: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000),
-        });
+    const dunning = await SubscriptionIntegrationService.applyPaymentFailure(
+      userId,
+      {
+        amount: invoice.amount_due / 100,
+        failureReason: invoice.last_payment_error?.message || "Échec inconnu",
+        attemptCount: invoice.attempt_count,
+        nextPaymentAttempt: invoice.next_payment_attempt,
+        invoiceId: invoice.id,
+        invoiceUrl: invoice.hosted_invoice_url,
       }
-    } catch (notificationError) {
-      logger.warn(
-        "⚠️ Erreur notification échec paiement:",
-        notificationError.message
-      );
-    }
+    );
 
-    return result;
+    return dunning || result;
   }
 }
 
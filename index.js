@@ -9,7 +9,15 @@ const fs = require("fs");
 const { logger, stream } = require("./utils/logger");
 const connectToDatabase = require("./config/db");
 const WebhookController = require("./controllers/webhookController");
+const PayPalWebhookController = require("./controllers/paypalWebhookController");
 const subscriptionRoutes = require("./routes/subscriptionRoutes");
+const planRoutes = require("./routes/planRoutes");
+const adminRoutes = require("./routes/adminRoutes");
+const entitlementRoutes = require("./routes/entitlementRoutes");
+const PlanService = require("./services/planService");
+const subscriptionExpiryJob = require("./jobs/subscriptionExpiryJob");
+const SubscriptionStreamService = require("./services/subscriptionStreamService");
+const SubscriptionStateMachine = require("./services/subscriptionStateMachine");
 const {
   register,
   httpRequestDuration,
@@ -36,6 +44,12 @@ console.log(`🔥 Lancement du ${SERVICE_NAME}...`);
     logger.info("✅ MongoDB connecté");
     updateDatabaseHealth('mongodb', true);
 
+    // Catalogue de plans (création des plans par défaut au premier démarrage)
+    await PlanService.ensureDefaultPlans();
+
+    // Reprise des anciens états "canceled mais actif" dans la machine à états
+    await SubscriptionStateMachine.migrateLegacyStates();
+
     const logsDir = path.join(__dirname, "logs");
     if (!fs.existsSync(logsDir)) fs.mkdirSync(logsDir);
 
@@ -139,8 +153,14 @@ console.log(`🔥 Lancement du ${SERVICE_NAME}...`);
       WebhookController.handleStripeWebhook
     );
 
+    // Route de webhook PayPal (JSON, signature vérifiée auprès de PayPal)
+    app.post("/webhooks/paypal", PayPalWebhookController.handlePayPalWebhook);
+
     // Routes principales
     app.use("/subscription", subscriptionRoutes);
+    app.use("/plans", planRoutes);
+    app.use("/admin", adminRoutes);
+    app.use("/entitlements", entitlementRoutes);
 
     // ROUTES STANDARD
 
@@ -214,7 +234,8 @@ console.log(`🔥 Lancement du ${SERVICE_NAME}...`);
             paypal: !!process.env.PAYPAL_CLIENT_ID
           },
           webhook_endpoints: [
-            "/webhook"
+            "/webhook",
+            "/webhooks/paypal"
           ],
           currencies_supported: ["EUR", "USD"]
         },
@@ -230,6 +251,9 @@ console.log(`🔥 Lancement du ${SERVICE_NAME}...`);
         api: {
           endpoints: [
             "/subscription",
+            "/plans",
+            "/admin",
+            "/entitlements",
             "/webhook"
           ]
         }
@@ -257,7 +281,8 @@ console.log(`🔥 Lancement du ${SERVICE_NAME}...`);
         message: `${req.method} ${req.path} n'existe pas`,
         availableRoutes: [
           "GET /health", "GET /vitals", "GET /metrics", "GET /ping",
-          "POST /webhook", "GET /subscription"
+          "POST /webhook", "POST /webhooks/paypal", "GET /subscription", "GET /plans",
+          "GET /entitlements/:userId"
         ],
       });
     });
@@ -308,9 +333,13 @@ console.log(`🔥 Lancement du ${SERVICE_NAME}...`);
       console.log(`❤️ Health: http://localhost:${PORT}/health`);
       console.log(`📈 Vitals: http://localhost:${PORT}/vitals`);
       console.log(`💰 Webhook: http://localhost:${PORT}/webhook`);
+      console.log(`💰 Webhook PayPal: http://localhost:${PORT}/webhooks/paypal`);
       
       updateServiceHealth(SERVICE_NAME, true);
       logger.info(`✅ ${SERVICE_NAME} avec métriques démarré`);
+
+      // Tâches planifiées
+      subscriptionExpiryJob.start();
     });
 
     // Serveur métriques séparé
@@ -345,6 +374,8 @@ function gracefulShutdown(signal) {
   updateExternalServiceHealth('stripe', false);
   updateExternalServiceHealth('paypal', false);
   updateActiveConnections(0);
+  subscriptionExpiryJob.stop();
+  SubscriptionStreamService.close();
   
   setTimeout(() => {
     process.exit(0);
@@ -0,0 +1,74 @@
+const SubscriptionIntegrationService = require("../services/subscriptionIntegrationService");
+const JobLockService = require("../services/jobLockService");
+const AuditContext = require("../utils/auditContext");
+const { logger } = require("../utils/logger");
+
+const JOB_NAME = "subscription-expiry";
+const INTERVAL_MS =
+  parseInt(process.env.SUBSCRIPTION_EXPIRY_INTERVAL_MS, 10) || 15 * 60 * 1000;
+// Le bail du verrou couvre une exécution, même lente
+const LOCK_TTL_MS = Math.max(60 * 1000, Math.floor(INTERVAL_MS / 2));
+
+let timer = null;
+let running = false;
+
+// Exécute une passe d'expiration (une seule instance à la fois grâce au verrou)
+function runOnce() {
+  return AuditContext.run({ source: "job", sourceRef: JOB_NAME }, runPass);
+}
+
+async function runPass() {
+  if (running) return null;
+  running = true;
+
+  try {
+    const acquired = await JobLockService.acquire(JOB_NAME, LOCK_TTL_MS);
+    if (!acquired) return null;
+
+    try {
+      const result = {
+        expiry: await SubscriptionIntegrationService.expireDueSubscriptions(),
+        suspension:
+          await SubscriptionIntegrationService.suspendOverdueSubscriptions(),
+        retries: await SubscriptionIntegrationService.retryDuePayments(),
+      };
+      if (Object.values(result).some(({ checked }) => checked > 0)) {
+        logger.info("[⌛] Passe d'expiration des abonnements terminée", result);
+      }
+      return result;
+    } finally {
+      await JobLockService.release(JOB_NAME);
+    }
+  } catch (error) {
+    logger.error("[❌] Erreur du job d'expiration des abonnements", {
+      error: error.message,
+    });
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+// Démarre le planificateur dans le processus
+function start() {
+  if (timer) return;
+
+  logger.info(`[⏰] Job d'expiration planifié toutes les ${INTERVAL_MS / 1000}s`);
+  timer = setInterval(runOnce, INTERVAL_MS);
+  timer.unref();
+  runOnce();
+}
+
+// Arrête le planificateur
+function stop() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+};
@@ -0,0 +1,64 @@
+const ApiKeyService = require('../services/apiKeyService');
+const { authMiddleware, roleMiddleware } = require('./authMiddleware');
+const { logger } = require('../utils/logger');
+
+// Middleware d'authentification service à service (en-tête x-api-key)
+// Toutes les portées demandées doivent être accordées à la clé.
+const apiKeyMiddleware = (scopes = []) => {
+  return async (req, res, next) => {
+    const rawKey = req.headers['x-api-key'];
+
+    if (!rawKey) {
+      logger.warn('🔒 Appel interne sans clé API.', { ip: req.ip });
+      return res.status(401).json({ message: 'Clé API requise.' });
+    }
+
+    try {
+      const apiKey = await ApiKeyService.authenticate(rawKey);
+
+      if (!apiKey) {
+        logger.warn('🔒 Clé API invalide, révoquée ou expirée.', { ip: req.ip });
+        return res.status(401).json({ message: 'Clé API invalide.' });
+      }
+
+      const missingScopes = scopes.filter((scope) => !apiKey.scopes.includes(scope));
+      if (missingScopes.length) {
+        logger.warn('🚫 Accès refusé - portée insuffisante.', {
+          apiKeyId: apiKey._id,
+          requiredScopes: scopes,
+        });
+        return res.status(403).json({
+          message: 'Accès refusé - portée insuffisante.',
+          missingScopes,
+        });
+      }
+
+      req.apiKey = {
+        id: apiKey._id,
+        name: apiKey.name,
+        scopes: apiKey.scopes,
+      };
+
+      next();
+    } catch (error) {
+      logger.error('❌ Erreur vérification clé API:', error);
+      return res.status(500).json({ message: 'Erreur serveur.' });
+    }
+  };
+};
+
+// Accepte soit une clé API avec les portées demandées, soit un administrateur connecté
+const apiKeyOrAdminMiddleware = (scopes = []) => {
+  const checkApiKey = apiKeyMiddleware(scopes);
+  const checkAdmin = roleMiddleware(['admin']);
+
+  return (req, res, next) => {
+    if (req.headers['x-api-key']) return checkApiKey(req, res, next);
+    authMiddleware(req, res, () => checkAdmin(req, res, next));
+  };
+};
+
+module.exports = {
+  apiKeyMiddleware,
+  apiKeyOrAdminMiddleware,
+};
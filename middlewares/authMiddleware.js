@@ -1,5 +1,5 @@
 const JwtConfig = require('../config/jwtConfig');
-const logger = require('../utils/logger');
+const { logger } = require('../utils/logger');
 
 // Middleware de vérification d'authentification
 const authMiddleware = (req, res, next) => {
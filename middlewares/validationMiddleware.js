@@ -1,18 +1,27 @@
 const { logger } = require("../utils/logger");
+const PlanService = require("../services/planService");
 
 class ValidationMiddleware {
-  // Validation des données de paiement
-  static validatePaymentData(req, res, next) {
+  // Validation des données de paiement (plan présent dans le catalogue)
+  static async validatePaymentData(req, res, next) {
     const { plan } = req.body;
 
     if (!plan) {
       return res.status(400).json({ error: "Le plan est requis" });
     }
 
-    if (!["monthly", "annual"].includes(plan)) {
-      return res.status(400).json({
-        error: "Plan invalide. Utilisez 'monthly' ou 'annual'",
-      });
+    try {
+      if (!(await PlanService.isValidPlanCode(plan))) {
+        const plans = await PlanService.listActivePlans();
+        return res.status(400).json({
+          error: `Plan invalide. Plans disponibles : ${plans
+            .map((p) => p.code)
+            .join(", ")}`,
+        });
+      }
+    } catch (error) {
+      logger.error("❌ Erreur validation du plan:", error);
+      return res.status(500).json({ error: "Erreur serveur." });
     }
 
     next();
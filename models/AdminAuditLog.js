@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Journal (ajout seul) des actions effectuées par les administrateurs
+const AdminAuditLogSchema = new Schema(
+  {
+    adminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    action: { type: String, required: true, index: true },
+    targetUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+    subscriptionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Subscription",
+    },
+    // Paramètres transmis par l'administrateur
+    params: { type: Schema.Types.Mixed, default: {} },
+    status: {
+      type: String,
+      enum: ["succeeded", "failed"],
+      required: true,
+      index: true,
+    },
+    error: { type: String, default: null },
+    // État résumé de l'abonnement avant et après l'action
+    before: { type: Schema.Types.Mixed, default: null },
+    after: { type: Schema.Types.Mixed, default: null },
+    ip: { type: String },
+    userAgent: { type: String },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+AdminAuditLogSchema.index({ targetUserId: 1, createdAt: -1 });
+
+// Les entrées du journal ne sont jamais modifiées
+const rejectMutation = function () {
+  throw new Error("Le journal d'audit ne peut pas être modifié.");
+};
+AdminAuditLogSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"],
+  rejectMutation
+);
+
+module.exports = mongoose.model("AdminAuditLog", AdminAuditLogSchema);
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const ApiKeySchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    // Début de la clé, affiché pour l'identifier (la clé complète n'est jamais stockée)
+    prefix: { type: String, required: true, index: true },
+    // Empreinte SHA-256 de la clé
+    keyHash: { type: String, required: true, unique: true, select: false },
+    scopes: { type: [String], default: [] },
+    expiresAt: { type: Date, default: null },
+    lastUsedAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null, index: true },
+    // Clé remplacée lors d'une rotation
+    rotatedFrom: { type: Schema.Types.ObjectId, ref: "ApiKey", default: null },
+    createdBy: { type: Schema.Types.ObjectId, ref: "User" },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Une clé est utilisable si elle n'est ni révoquée ni expirée
+ApiKeySchema.methods.isUsable = function () {
+  if (this.revokedAt && this.revokedAt <= new Date()) return false;
+  if (this.expiresAt && this.expiresAt <= new Date()) return false;
+  return true;
+};
+
+// Représentation renvoyée aux administrateurs
+ApiKeySchema.methods.toPublicJSON = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    prefix: this.prefix,
+    scopes: this.scopes,
+    expiresAt: this.expiresAt,
+    lastUsedAt: this.lastUsedAt,
+    revokedAt: this.revokedAt,
+    rotatedFrom: this.rotatedFrom,
+    createdBy: this.createdBy,
+    createdAt: this.createdAt,
+    active: this.isUsable(),
+  };
+};
+
+module.exports = mongoose.model("ApiKey", ApiKeySchema);
@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const JobLockSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+    },
+    owner: { type: String, default: null },
+    lockedUntil: { type: Date, default: null },
+    lastRunAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("JobLock", JobLockSchema);
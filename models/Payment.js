@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const PaymentSchema = new Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    subscriptionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Subscription",
+    },
+    // Clé d'idempotence : un enregistrement par facture, remboursement ou échec
+    reference: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      enum: ["payment", "refund", "failure"],
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["succeeded", "pending", "failed"],
+      default: "succeeded",
+    },
+    provider: {
+      type: String,
+      enum: ["stripe", "paypal", "manual"],
+      default: "stripe",
+    },
+    amount: { type: Number, default: 0 },
+    currency: { type: String, default: "eur" },
+    plan: { type: String },
+    description: { type: String },
+    billingReason: { type: String },
+    failureReason: { type: String },
+    stripeInvoiceId: { type: String, index: true },
+    stripeChargeId: { type: String },
+    stripePaymentIntentId: { type: String },
+    stripeRefundId: { type: String, index: true },
+    stripeSessionId: { type: String },
+    invoiceNumber: { type: String },
+    invoiceUrl: { type: String },
+    invoicePdf: { type: String },
+    occurredAt: { type: Date, default: Date.now, index: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index pour l'historique paginé d'un utilisateur
+PaymentSchema.index({ userId: 1, occurredAt: -1 });
+
+module.exports = mongoose.model("Payment", PaymentSchema);
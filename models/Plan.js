@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const PlanSchema = new Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      index: true,
+    },
+    name: { type: String, required: true, trim: true },
+    description: { type: String, default: "" },
+    stripePriceId: { type: String, index: true },
+    stripeProductId: { type: String },
+    // Anciens prix conservés par les abonnés existants après un changement de tarif
+    legacyStripePriceIds: { type: [String], default: [], index: true },
+    // Plan de facturation PayPal correspondant (P-...), optionnel
+    paypalPlanId: { type: String, default: null, index: true },
+    amount: { type: Number, required: true, min: 0 },
+    currency: { type: String, default: "eur", lowercase: true },
+    interval: {
+      type: String,
+      enum: ["day", "week", "month", "year"],
+      default: "month",
+    },
+    intervalCount: { type: Number, default: 1, min: 1 },
+    refundWindowDays: { type: Number, default: 7, min: 0 },
+    // Durée de l'essai gratuit proposé à la première souscription (0 = pas d'essai)
+    trialDays: { type: Number, default: 0, min: 0 },
+    entitlements: {
+      features: { type: [String], default: [] },
+      quotas: { type: Map, of: Number, default: {} },
+    },
+    isActive: { type: Boolean, default: true, index: true },
+    sortOrder: { type: Number, default: 0 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Représentation exposée publiquement (page de tarifs)
+PlanSchema.methods.toPublicJSON = function () {
+  return {
+    code: this.code,
+    name: this.name,
+    description: this.description,
+    amount: this.amount,
+    currency: this.currency,
+    interval: this.interval,
+    intervalCount: this.intervalCount,
+    refundWindowDays: this.refundWindowDays,
+    trialDays: this.trialDays,
+    entitlements: {
+      features: this.entitlements?.features || [],
+      quotas: Object.fromEntries(this.entitlements?.quotas || []),
+    },
+  };
+};
+
+module.exports = mongoose.model("Plan", PlanSchema);
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const PromoCodeSchema = new Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+      index: true,
+    },
+    description: { type: String, default: "" },
+    stripeCouponId: { type: String, required: true, index: true },
+    stripePromotionCodeId: { type: String, required: true, index: true },
+    percentOff: { type: Number, min: 0, max: 100, default: null },
+    amountOff: { type: Number, min: 0, default: null },
+    currency: { type: String, lowercase: true, default: null },
+    duration: {
+      type: String,
+      enum: ["once", "repeating", "forever"],
+      default: "once",
+    },
+    durationInMonths: { type: Number, default: null },
+    maxRedemptions: { type: Number, default: null },
+    expiresAt: { type: Date, default: null },
+    // Codes de plans éligibles (vide = tous les plans)
+    appliesToPlans: { type: [String], default: [] },
+    isActive: { type: Boolean, default: true, index: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Un code est utilisable s'il est actif et non expiré
+PromoCodeSchema.methods.isUsable = function (planCode) {
+  if (!this.isActive) return false;
+  if (this.expiresAt && this.expiresAt <= new Date()) return false;
+  if (this.appliesToPlans.length && !this.appliesToPlans.includes(planCode)) {
+    return false;
+  }
+  return true;
+};
+
+module.exports = mongoose.model("PromoCode", PromoCodeSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { runInTransaction } = require("../utils/transaction");
 const Schema = mongoose.Schema;
 
 const SubscriptionSchema = new Schema(
@@ -10,9 +11,9 @@ const SubscriptionSchema = new Schema(
       unique: true,
       index: true,
     },
+    // Code d'un plan du catalogue (collection "plans")
     plan: {
       type: String,
-      enum: ["free", "monthly", "annual", "premium"],
       default: "free",
       index: true,
     },
@@ -32,15 +33,24 @@ const SubscriptionSchema = new Schema(
       },
       index: true,
     },
+    // Dérivé de status par la machine à états (services/subscriptionStateMachine.js)
     isActive: {
       type: Boolean,
-      default: true,
+      default: false,
       index: true,
     },
     status: {
       type: String,
-      enum: ["active", "canceled", "suspended", "trialing", "incomplete"],
-      default: "active",
+      enum: [
+        "incomplete",
+        "trialing",
+        "active",
+        "canceling",
+        "paused",
+        "suspended",
+        "canceled",
+      ],
+      default: "incomplete",
       index: true,
     },
     paymentMethod: {
@@ -56,7 +66,63 @@ const SubscriptionSchema = new Schema(
     stripeCustomerId: { type: String, index: true },
     stripeSubscriptionId: { type: String, index: true },
     stripePriceId: { type: String },
+    paypalSubscriptionId: { type: String, index: true },
     sessionId: { type: String },
+    // Remise appliquée via un code promo ou un coupon Stripe
+    discount: {
+      type: {
+        code: { type: String },
+        stripeCouponId: { type: String },
+        stripePromotionCodeId: { type: String },
+        percentOff: { type: Number },
+        amountOff: { type: Number },
+        currency: { type: String },
+        duration: { type: String },
+        durationInMonths: { type: Number },
+        startDate: { type: Date },
+        endDate: { type: Date },
+      },
+      default: null,
+    },
+    // Pause de la facturation (pause_collection Stripe)
+    pause: {
+      type: {
+        pausedAt: { type: Date },
+        resumesAt: { type: Date },
+        behavior: { type: String },
+        keepAccess: { type: Boolean },
+      },
+      default: null,
+    },
+    // Changement de plan programmé pour la fin de la période (planning Stripe)
+    pendingPlanChange: {
+      type: {
+        plan: { type: String },
+        effectiveDate: { type: Date },
+        stripeScheduleId: { type: String },
+        requestedAt: { type: Date },
+      },
+      default: null,
+    },
+    // Accès offert par un administrateur (paymentMethod "manual", sans abonnement Stripe)
+    grant: {
+      type: {
+        reason: { type: String },
+        category: {
+          type: String,
+          enum: ["partner", "influencer", "support", "other"],
+        },
+        grantedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        grantedAt: { type: Date },
+        revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        revokedAt: { type: Date },
+        revokeReason: { type: String },
+      },
+      default: null,
+    },
+    // Essai gratuit : un seul par utilisateur
+    trialUsedAt: { type: Date, default: null },
+    trialEndDate: { type: Date, default: null },
     lastPaymentDate: { type: Date, index: true },
     lastTransactionId: { type: String },
     paymentStatus: {
@@ -66,11 +132,23 @@ const SubscriptionSchema = new Schema(
     },
     paymentFailureReason: { type: String },
     lastFailureDate: { type: Date },
+    // Suivi des relances après échec de paiement
+    dunning: {
+      attemptCount: { type: Number, default: 0 },
+      firstFailureDate: { type: Date, default: null },
+      nextAttemptDate: { type: Date, default: null },
+      // true si la prochaine tentative est déclenchée par notre politique (et non par Stripe)
+      retryByPolicy: { type: Boolean, default: false },
+      graceUntil: { type: Date, default: null },
+      invoiceId: { type: String, default: null },
+      suspendedAt: { type: Date, default: null },
+    },
     refundStatus: {
       type: String,
-      enum: ["none", "processed", "failed"],
+      enum: ["none", "pending", "processed", "failed"],
       default: "none",
     },
+    stripeRefundId: { type: String, index: true },
     refundAmount: { type: Number, default: 0 },
     refundDate: { type: Date, default: null },
     refundReason: { type: String, default: null },
@@ -127,6 +205,123 @@ SubscriptionSchema.pre("findOneAndUpdate", function (next) {
   next();
 });
 
+// Contrôle de version : toute mise à jour incrémente __v (concurrence optimiste)
+SubscriptionSchema.pre(["findOneAndUpdate", "updateOne", "updateMany"], function () {
+  const update = this.getUpdate();
+  update.$inc = { ...update.$inc, __v: 1 };
+});
+
+SubscriptionSchema.pre("save", function () {
+  if (!this.isNew) this.increment();
+});
+
+// Historique : l'état avant n'est fiable que lu dans la transaction de l'écriture
+// (une écriture concurrente fait alors échouer et relancer la transaction)
+function historySession(session, operation) {
+  if (!session) {
+    throw new Error(
+      `Écriture d'abonnement hors transaction (${operation}) : utiliser Subscription.auditedUpdate ou runInTransaction`
+    );
+  }
+  return session;
+}
+
+async function recordHistory(pairs, session) {
+  const SubscriptionHistoryService = require("../services/subscriptionHistoryService");
+  for (const [before, after] of pairs) {
+    await SubscriptionHistoryService.recordChange(before, after, { session });
+  }
+}
+
+// Historique : états avant la mise à jour
+SubscriptionSchema.pre(["findOneAndUpdate", "updateOne"], async function () {
+  const session = historySession(this.getOptions().session, this.op);
+  this._historyBefore = await this.model
+    .findOne(this.getFilter())
+    .session(session)
+    .lean();
+});
+
+SubscriptionSchema.pre("updateMany", async function () {
+  const session = historySession(this.getOptions().session, this.op);
+  this._historyBefore = await this.model
+    .find(this.getFilter())
+    .session(session)
+    .lean();
+});
+
+SubscriptionSchema.pre("save", async function () {
+  const session = historySession(this.$session(), "save");
+  this.$locals.historyBefore = this.isNew
+    ? null
+    : await this.constructor.findById(this._id).session(session).lean();
+});
+
+// Historique : enregistrement de la différence avant/après
+SubscriptionSchema.post("findOneAndUpdate", async function (doc) {
+  const id = this._historyBefore?._id || doc?._id;
+  if (!id) return;
+
+  const session = this.getOptions().session;
+  const after = await this.model.findById(id).session(session).lean();
+  await recordHistory([[this._historyBefore, after]], session);
+});
+
+SubscriptionSchema.post(["updateOne", "updateMany"], async function (result) {
+  const session = this.getOptions().session;
+  const befores = [].concat(this._historyBefore || []);
+  const ids = befores.map((before) => before._id);
+  if (result?.upsertedId) ids.push(result.upsertedId);
+  if (ids.length === 0) return;
+
+  const afters = await this.model
+    .find({ _id: { $in: ids } })
+    .session(session)
+    .lean();
+  const beforeById = new Map(befores.map((before) => [String(before._id), before]));
+  await recordHistory(
+    afters.map((after) => [beforeById.get(String(after._id)) || null, after]),
+    session
+  );
+});
+
+SubscriptionSchema.post("save", async function (doc) {
+  await recordHistory(
+    [[doc.$locals.historyBefore, doc.toObject()]],
+    doc.$session()
+  );
+});
+
+// Mise à jour historisée : dans la transaction fournie, sinon dans une transaction dédiée
+SubscriptionSchema.statics.auditedUpdate = function (filter, update, options = {}) {
+  if (options.session) return this.findOneAndUpdate(filter, update, options);
+  return runInTransaction(
+    (session) => this.findOneAndUpdate(filter, update, { ...options, session }),
+    { label: "subscription:update" }
+  );
+};
+
+// Droits en cache (services/entitlementService.js) invalidés à chaque écriture.
+// Sans utilisateur identifiable dans le filtre, tout le cache est vidé.
+function invalidateEntitlements(userId) {
+  const EntitlementService = require("../services/entitlementService");
+  const isSingleUser =
+    typeof userId === "string" || userId instanceof mongoose.Types.ObjectId;
+  EntitlementService.invalidate(isSingleUser ? userId : undefined);
+}
+
+SubscriptionSchema.post("findOneAndUpdate", function (doc) {
+  invalidateEntitlements(doc?.userId || this.getFilter().userId);
+});
+
+SubscriptionSchema.post(["updateOne", "updateMany"], function () {
+  invalidateEntitlements(this.getFilter().userId);
+});
+
+SubscriptionSchema.post("save", function (doc) {
+  invalidateEntitlements(doc.userId);
+});
+
 // Jours restants
 SubscriptionSchema.methods.getDaysRemaining = function () {
   if (!this.endDate) return null;
@@ -137,4 +332,13 @@ SubscriptionSchema.methods.getDaysRemaining = function () {
   return Math.max(0, diffDays);
 };
 
+// Document provisoire : il ne porte que le client Stripe, aucun abonnement souscrit
+SubscriptionSchema.methods.isProvisional = function () {
+  return (
+    this.status === "incomplete" &&
+    !this.stripeSubscriptionId &&
+    !this.paypalSubscriptionId
+  );
+};
+
 module.exports = mongoose.model("Subscription", SubscriptionSchema);
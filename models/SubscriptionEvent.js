@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Historique (ajout seul) des changements d'état d'un abonnement
+const SubscriptionEventSchema = new Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    subscriptionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Subscription",
+    },
+    type: {
+      type: String,
+      enum: ["created", "status_changed", "plan_changed", "updated"],
+      required: true,
+    },
+    changedFields: { type: [String], default: [] },
+    // Valeurs des champs modifiés avant et après le changement
+    before: { type: Schema.Types.Mixed, default: null },
+    after: { type: Schema.Types.Mixed, default: null },
+    source: {
+      type: String,
+      enum: ["user", "webhook", "admin", "job", "system"],
+      default: "system",
+      index: true,
+    },
+    // Route appelée, nom du job...
+    sourceRef: { type: String },
+    // ID de l'événement webhook à l'origine du changement
+    eventId: { type: String, index: true },
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    actorRole: { type: String },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+SubscriptionEventSchema.index({ userId: 1, createdAt: -1 });
+
+// Les événements ne sont jamais modifiés
+const rejectMutation = function () {
+  throw new Error("L'historique des abonnements ne peut pas être modifié.");
+};
+SubscriptionEventSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"],
+  rejectMutation
+);
+
+module.exports = mongoose.model("SubscriptionEvent", SubscriptionEventSchema);
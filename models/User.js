@@ -25,7 +25,8 @@ const UserSchema = new Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    // 'premium' est dérivé de l'abonnement par le service de paiement
+    enum: ['user', 'premium', 'admin'],
     default: 'user'
   },
   isVerified: {
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const WebhookEventSchema = new Schema(
+  {
+    eventId: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    provider: {
+      type: String,
+      enum: ["stripe", "paypal"],
+      default: "stripe",
+    },
+    status: {
+      type: String,
+      enum: ["processing", "succeeded", "failed"],
+      default: "processing",
+      index: true,
+    },
+    attempts: { type: Number, default: 0 },
+    lastError: { type: String, default: null },
+    payload: { type: Schema.Types.Mixed },
+    receivedAt: { type: Date, default: Date.now },
+    lastAttemptAt: { type: Date, default: null },
+    processedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index pour retrouver les événements en échec
+WebhookEventSchema.index({ status: 1, lastAttemptAt: 1 });
+
+module.exports = mongoose.model("WebhookEvent", WebhookEventSchema);
@@ -0,0 +1,41 @@
+const PaymentProvider = require("./paymentProvider");
+const StripeProvider = require("./stripeProvider");
+const PayPalProvider = require("./paypalProvider");
+
+// Fournisseurs disponibles, par valeur de Subscription.paymentMethod
+const providers = {
+  stripe: new StripeProvider(),
+  paypal: new PayPalProvider(),
+};
+
+function getProvider(name) {
+  const provider = providers[name];
+  if (!provider) {
+    const error = new Error(`Fournisseur de paiement inconnu : ${name}.`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return provider;
+}
+
+// Ajoute ou remplace un fournisseur (par exemple un fournisseur factice en test)
+function registerProvider(name, provider) {
+  if (!(provider instanceof PaymentProvider)) {
+    throw new Error(`Le fournisseur ${name} doit étendre PaymentProvider.`);
+  }
+  providers[name] = provider;
+  return provider;
+}
+
+// Fournisseur gérant un abonnement (null pour un accès offert)
+function forSubscription(subscription) {
+  if (subscription?.paymentMethod === "manual") return null;
+  return getProvider(subscription?.paymentMethod || "stripe");
+}
+
+module.exports = {
+  PaymentProvider,
+  getProvider,
+  registerProvider,
+  forSubscription,
+};
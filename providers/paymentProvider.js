@@ -0,0 +1,214 @@
+// Interface commune des fournisseurs de paiement (Stripe, PayPal...).
+// Les méthodes reçoivent le document Subscription local ; une opération
+// non prise en charge par un fournisseur lève une erreur 400.
+
+function providerError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+class PaymentProvider {
+  constructor(name, label) {
+    this.name = name;
+    this.label = label;
+    // Changement de plan soumis à l'approbation du client (appliqué à l'échéance)
+    this.planChangeRequiresApproval = false;
+    // Essai gratuit accordé à la souscription (sinon défini chez le fournisseur)
+    this.supportsTrials = true;
+  }
+
+  // Opération indisponible chez ce fournisseur
+  notSupported(operation) {
+    return providerError(
+      `L'opération "${operation}" n'est pas disponible avec ${this.label}.`,
+      400
+    );
+  }
+
+  // Identifiant de l'abonnement chez le fournisseur (null si aucun)
+  getSubscriptionId() {
+    return null;
+  }
+
+  // Client du fournisseur : { id, userId, deleted }
+  async getCustomer() {
+    throw this.notSupported("getCustomer");
+  }
+
+  // Crée le client d'un utilisateur : { id }
+  async createCustomer() {
+    throw this.notSupported("createCustomer");
+  }
+
+  // Crée une session de paiement : { id, url }
+  async createCheckout() {
+    throw this.notSupported("checkout");
+  }
+
+  // Session de paiement créée par createCheckout
+  async getCheckoutSession() {
+    throw this.notSupported("getCheckoutSession");
+  }
+
+  // Abonnement tel que connu du fournisseur
+  async getSubscription() {
+    throw this.notSupported("getSubscription");
+  }
+
+  // Programme l'annulation en fin de période : { endDate }
+  async cancelAtPeriodEnd() {
+    throw this.notSupported("cancelAtPeriodEnd");
+  }
+
+  // Annule immédiatement l'abonnement
+  async cancelNow() {
+    throw this.notSupported("cancelNow");
+  }
+
+  // Annule une annulation programmée
+  async reactivate() {
+    throw this.notSupported("reactivate");
+  }
+
+  // Aperçu de la facture d'un changement de plan
+  async previewPlanChange() {
+    throw this.notSupported("previewPlanChange");
+  }
+
+  // Change le plan : { effective, effectiveDate, prorationAmount, prorationInvoice, approvalUrl }
+  async changePlan() {
+    throw this.notSupported("changePlan");
+  }
+
+  // Programme un changement de plan à l'échéance : { scheduleId, effectiveDate }
+  async schedulePlanChange() {
+    throw this.notSupported("schedulePlanChange");
+  }
+
+  // Annule un changement programmé (sans effet s'il est déjà appliqué ou libéré)
+  async cancelScheduledPlanChange() {
+    throw this.notSupported("cancelScheduledPlanChange");
+  }
+
+  // Met en pause la facturation
+  async pause() {
+    throw this.notSupported("pause");
+  }
+
+  // Reprend la facturation
+  async resume() {
+    throw this.notSupported("resume");
+  }
+
+  // Repousse la fin programmée (ou la fin de l'essai en cours)
+  async extend() {
+    throw this.notSupported("extend");
+  }
+
+  // Nouvelle tentative de paiement d'une facture impayée
+  async retryPayment() {
+    throw this.notSupported("retryPayment");
+  }
+
+  // Rembourse le dernier paiement de l'abonnement :
+  // { id, amount (centimes), currency, status, created, charge, payment_intent }
+  async refundLastPayment() {
+    throw this.notSupported("refund");
+  }
+
+  // Remboursements d'un paiement (même format que refundLastPayment)
+  async listRefunds() {
+    throw this.notSupported("listRefunds");
+  }
+
+  // Appelé quand un abonnement annulé atteint sa date de fin
+  async endOfPeriodReached() {}
+
+  // Vérifie la signature d'un webhook et renvoie l'événement
+  async verifyWebhook() {
+    throw this.notSupported("verifyWebhook");
+  }
+
+  // Session du portail de facturation du client : { url }
+  async createBillingPortalSession() {
+    throw this.notSupported("billingPortal");
+  }
+
+  // Cartes enregistrées du client : [{ id, customer, card }]
+  async listPaymentMethods() {
+    throw this.notSupported("listPaymentMethods");
+  }
+
+  // Moyen de paiement : { id, customer, card }
+  async getPaymentMethod() {
+    throw this.notSupported("getPaymentMethod");
+  }
+
+  // Carte par défaut du client (ID ou null)
+  async getDefaultPaymentMethodId() {
+    throw this.notSupported("getDefaultPaymentMethodId");
+  }
+
+  // Carte définie sur l'abonnement, prioritaire sur celle du client (ID ou null)
+  async getSubscriptionPaymentMethodId() {
+    throw this.notSupported("getSubscriptionPaymentMethodId");
+  }
+
+  // Enregistrement d'une carte côté frontend : { id, clientSecret }
+  async createSetupIntent() {
+    throw this.notSupported("createSetupIntent");
+  }
+
+  // Carte par défaut du client (et de l'abonnement, s'il est fourni)
+  async setDefaultPaymentMethod() {
+    throw this.notSupported("setDefaultPaymentMethod");
+  }
+
+  // Retire une carte du client
+  async detachPaymentMethod() {
+    throw this.notSupported("detachPaymentMethod");
+  }
+
+  // Crée une remise et son code : { couponId, promotionCodeId }
+  async createPromotionCode() {
+    throw this.notSupported("createPromotionCode");
+  }
+
+  // Désactive un code promotionnel
+  async deactivatePromotionCode() {
+    throw this.notSupported("deactivatePromotionCode");
+  }
+
+  // Supprime une remise (les remises déjà appliquées restent valables)
+  async deleteCoupon() {
+    throw this.notSupported("deleteCoupon");
+  }
+
+  // Crée le produit d'un plan : { id }
+  async createProduct() {
+    throw this.notSupported("createProduct");
+  }
+
+  // Met à jour (ou archive) le produit d'un plan
+  async updateProduct() {
+    throw this.notSupported("updateProduct");
+  }
+
+  // Crée un prix récurrent pour un produit : { id }
+  async createPrice() {
+    throw this.notSupported("createPrice");
+  }
+
+  // Retire un prix de la vente (les abonnés existants le conservent)
+  async deactivatePrice() {
+    throw this.notSupported("deactivatePrice");
+  }
+
+  // Produit auquel appartient un prix (ID)
+  async getPriceProductId() {
+    throw this.notSupported("getPriceProductId");
+  }
+}
+
+module.exports = PaymentProvider;
@@ -0,0 +1,218 @@
+const PaymentProvider = require("./paymentProvider");
+const { logger } = require("../utils/logger");
+const axios = require("axios");
+
+// URL de l'API PayPal par défaut (sandbox)
+const DEFAULT_API_BASE = "https://api-m.sandbox.paypal.com";
+
+// Statuts PayPal d'un abonnement terminé
+const ENDED_STATUSES = ["CANCELLED", "EXPIRED"];
+
+// Motif de la suspension posée pour une annulation en fin de période
+const SCHEDULED_CANCEL_NOTE = "Annulation programmée en fin de période";
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+class PayPalProvider extends PaymentProvider {
+  // apiBase : API PayPal ou doublure locale (tests/support/paypalStandIn.js)
+  constructor({ apiBase = process.env.PAYPAL_API_BASE || DEFAULT_API_BASE } = {}) {
+    super("paypal", "PayPal");
+    this.apiBase = apiBase;
+    // Une révision de plan doit être approuvée par le client sur PayPal
+    this.planChangeRequiresApproval = true;
+    // L'essai éventuel fait partie du plan de facturation PayPal
+    this.supportsTrials = false;
+    this.accessToken = null;
+    this.tokenExpiresAt = 0;
+  }
+
+  getSubscriptionId(subscription) {
+    return subscription?.paypalSubscriptionId || null;
+  }
+
+  // Jeton OAuth2 (client credentials), mis en cache jusqu'à son expiration
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.tokenExpiresAt) {
+      return this.accessToken;
+    }
+
+    const response = await axios.post(
+      `${this.apiBase}/v1/oauth2/token`,
+      "grant_type=client_credentials",
+      {
+        auth: {
+          username: process.env.PAYPAL_CLIENT_ID,
+          password: process.env.PAYPAL_CLIENT_SECRET,
+        },
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        timeout: 10000,
+      }
+    );
+
+    this.accessToken = response.data.access_token;
+    // Marge d'une minute avant l'expiration annoncée
+    this.tokenExpiresAt = Date.now() + (response.data.expires_in - 60) * 1000;
+    return this.accessToken;
+  }
+
+  // Appel authentifié à l'API PayPal (erreurs normalisées)
+  async request(method, path, data) {
+    try {
+      const response = await axios({
+        method,
+        url: `${this.apiBase}${path}`,
+        data,
+        headers: {
+          Authorization: `Bearer ${await this.getAccessToken()}`,
+          "Content-Type": "application/json",
+        },
+        timeout: 10000,
+      });
+      return response.data;
+    } catch (error) {
+      const details = error.response?.data;
+      logger.error(`❌ Erreur API PayPal ${method.toUpperCase()} ${path}`, {
+        status: error.response?.status,
+        name: details?.name,
+        message: details?.message || error.message,
+      });
+
+      const paypalError = new Error(
+        details?.details?.[0]?.description || details?.message || error.message
+      );
+      paypalError.type = details?.name;
+      // Même code que Stripe pour une ressource introuvable
+      if (error.response?.status === 404) paypalError.code = "resource_missing";
+      throw paypalError;
+    }
+  }
+
+  // Abonnement PayPal à approuver par le client
+  async createCheckout({ userId, email, plan, promo }) {
+    if (!plan.paypalPlanId) {
+      throw new Error(`Plan PayPal non défini pour le plan ${plan.code}`);
+    }
+    if (promo) {
+      throw this.notSupported("promoCode");
+    }
+
+    const paypalSubscription = await this.request("post", "/v1/billing/subscriptions", {
+      plan_id: plan.paypalPlanId,
+      custom_id: String(userId),
+      subscriber: email ? { email_address: email } : undefined,
+      application_context: {
+        brand_name: "RoadTrip",
+        user_action: "SUBSCRIBE_NOW",
+        shipping_preference: "NO_SHIPPING",
+        return_url: `${process.env.CLIENT_URL}/premium/success?provider=paypal`,
+        cancel_url: `${process.env.CLIENT_URL}/premium/cancel`,
+      },
+    });
+
+    const approveLink = paypalSubscription.links?.find((link) => link.rel === "approve");
+    return { id: paypalSubscription.id, url: approveLink?.href };
+  }
+
+  async getSubscription(subscription) {
+    return this.request(
+      "get",
+      `/v1/billing/subscriptions/${subscription.paypalSubscriptionId}`
+    );
+  }
+
+  // PayPal n'annule pas en fin de période : la facturation est suspendue
+  // (réactivable) et l'abonnement est annulé quand la période payée se termine
+  async cancelAtPeriodEnd(subscription) {
+    const current = await this.getSubscription(subscription);
+
+    if (current.status === "ACTIVE") {
+      await this.request(
+        "post",
+        `/v1/billing/subscriptions/${current.id}/suspend`,
+        { reason: SCHEDULED_CANCEL_NOTE }
+      );
+    }
+
+    return { endDate: toDate(current.billing_info?.next_billing_time) };
+  }
+
+  async cancelNow(subscription, { reason } = {}) {
+    const current = await this.getSubscription(subscription);
+    if (ENDED_STATUSES.includes(current.status)) return current;
+
+    return this.request("post", `/v1/billing/subscriptions/${current.id}/cancel`, {
+      reason: reason || "Annulation immédiate",
+    });
+  }
+
+  async reactivate(subscription) {
+    return this.request(
+      "post",
+      `/v1/billing/subscriptions/${subscription.paypalSubscriptionId}/activate`,
+      { reason: "Réactivation de l'abonnement" }
+    );
+  }
+
+  // Révision du plan : le client l'approuve sur PayPal, le nouveau tarif
+  // s'applique à la prochaine échéance
+  async changePlan(subscription, targetPlan) {
+    if (!targetPlan.paypalPlanId) {
+      throw new Error(`Plan PayPal non défini pour le plan ${targetPlan.code}`);
+    }
+
+    const current = await this.getSubscription(subscription);
+    const revision = await this.request(
+      "post",
+      `/v1/billing/subscriptions/${current.id}/revise`,
+      {
+        plan_id: targetPlan.paypalPlanId,
+        application_context: {
+          return_url: `${process.env.CLIENT_URL}/premium/manage?provider=paypal`,
+          cancel_url: `${process.env.CLIENT_URL}/premium/manage`,
+        },
+      }
+    );
+
+    return {
+      effective: "period_end",
+      effectiveDate: toDate(current.billing_info?.next_billing_time),
+      approvalUrl: revision.links?.find((link) => link.rel === "approve")?.href,
+      prorationAmount: 0,
+      prorationInvoice: null,
+    };
+  }
+
+  // Fin de la période payée après une annulation : l'abonnement suspendu est annulé
+  async endOfPeriodReached(subscription) {
+    return this.cancelNow(subscription, { reason: "Fin de période après annulation" });
+  }
+
+  // Vérification de la signature par l'API PayPal (webhook_id configuré)
+  async verifyWebhook(req) {
+    const verification = await this.request(
+      "post",
+      "/v1/notifications/verify-webhook-signature",
+      {
+        auth_algo: req.headers["paypal-auth-algo"],
+        cert_url: req.headers["paypal-cert-url"],
+        transmission_id: req.headers["paypal-transmission-id"],
+        transmission_sig: req.headers["paypal-transmission-sig"],
+        transmission_time: req.headers["paypal-transmission-time"],
+        webhook_id: process.env.PAYPAL_WEBHOOK_ID,
+        webhook_event: req.body,
+      }
+    );
+
+    if (verification.verification_status !== "SUCCESS") {
+      throw new Error("Signature du webhook PayPal invalide");
+    }
+    return req.body;
+  }
+}
+
+// Suspension due à une annulation programmée (et non à un impayé)
+PayPalProvider.isScheduledCancellation = (paypalSubscription) =>
+  paypalSubscription.status === "SUSPENDED" &&
+  paypalSubscription.status_change_note === SCHEDULED_CANCEL_NOTE;
+
+module.exports = PayPalProvider;
@@ -0,0 +1,574 @@
+const PaymentProvider = require("./paymentProvider");
+const { logger } = require("../utils/logger");
+const Stripe = require("stripe");
+
+// Résume la facture Stripe à venir après un changement de plan
+function summarizePlanChangeInvoice(invoice) {
+  const lines = invoice.lines.data.map((line) => ({
+    description: line.description,
+    amount: line.amount / 100,
+    proration: line.proration,
+    periodStart: new Date(line.period.start * 1000),
+    periodEnd: new Date(line.period.end * 1000),
+  }));
+
+  const credit = lines
+    .filter((line) => line.amount < 0)
+    .reduce((sum, line) => sum - line.amount, 0);
+  const prorationAmount = lines
+    .filter((line) => line.proration)
+    .reduce((sum, line) => sum + line.amount, 0);
+
+  return {
+    currency: invoice.currency,
+    lines,
+    credit: Math.round(credit * 100) / 100,
+    prorationAmount: Math.round(prorationAmount * 100) / 100,
+    total: invoice.total / 100,
+    amountDue: invoice.amount_due / 100,
+  };
+}
+
+const toDate = (timestamp) => (timestamp ? new Date(timestamp * 1000) : null);
+const toTimestamp = (date) => Math.floor(date.getTime() / 1000);
+
+// ID d'un objet Stripe (chaîne ou objet étendu)
+const idOf = (value) => (typeof value === "string" ? value : value?.id || null);
+
+class StripeProvider extends PaymentProvider {
+  constructor() {
+    super("stripe", "Stripe");
+    this.stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+
+  getSubscriptionId(subscription) {
+    return subscription?.stripeSubscriptionId || null;
+  }
+
+  async getCustomer(customerId) {
+    const customer = await this.stripe.customers.retrieve(customerId);
+    return {
+      id: customer.id,
+      userId: customer.metadata?.userId || null,
+      deleted: !!customer.deleted,
+    };
+  }
+
+  // Idempotent : un seul client créé par utilisateur (et par client remplacé)
+  async createCustomer({ userId, email, replaces }) {
+    const customer = await this.stripe.customers.create(
+      {
+        email,
+        metadata: { userId: String(userId) },
+      },
+      { idempotencyKey: `customer-${userId}-${replaces || "new"}` }
+    );
+    return { id: customer.id };
+  }
+
+  // Session Stripe Checkout en mode abonnement
+  async createCheckout({ userId, email, plan, trialDays, promo }) {
+    if (!plan.stripePriceId) {
+      throw new Error(`Price ID Stripe non défini pour le plan ${plan.code}`);
+    }
+
+    // Require différé : le service d'intégration dépend des fournisseurs
+    const SubscriptionIntegrationService = require("../services/subscriptionIntegrationService");
+    const customerId = await SubscriptionIntegrationService.getOrCreateStripeCustomer(
+      userId,
+      email
+    );
+
+    logger.debug("🔥 checkout metadata:", { userId, email, customerId, trialDays });
+
+    const session = await this.stripe.checkout.sessions.create({
+      payment_method_types: ["card"],
+      mode: "subscription",
+      customer: customerId,
+      client_reference_id: String(userId),
+      line_items: [
+        {
+          price: plan.stripePriceId,
+          quantity: 1,
+        },
+      ],
+      ...(promo
+        ? { discounts: [{ promotion_code: promo.stripePromotionCodeId }] }
+        : { allow_promotion_codes: true }),
+      metadata: {
+        userId,
+        plan: plan.code,
+        ...(promo && { promoCode: promo.code }),
+      },
+      subscription_data: {
+        metadata: {
+          userId,
+          plan: plan.code,
+        },
+        ...(trialDays > 0 && { trial_period_days: trialDays }),
+      },
+      success_url: `${process.env.CLIENT_URL}/premium/success?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${process.env.CLIENT_URL}/premium/cancel`,
+    });
+
+    return { id: session.id, url: session.url };
+  }
+
+  async getCheckoutSession(sessionId) {
+    return this.stripe.checkout.sessions.retrieve(sessionId);
+  }
+
+  async getSubscription(subscription) {
+    return this.stripe.subscriptions.retrieve(subscription.stripeSubscriptionId);
+  }
+
+  // Annulation en fin de période (cancel_at_period_end), sans effet si déjà programmée
+  async cancelAtPeriodEnd(subscription) {
+    const current = await this.getSubscription(subscription);
+
+    logger.debug("[🔍] État actuel de l'abonnement Stripe", {
+      id: current.id,
+      cancel_at_period_end: current.cancel_at_period_end,
+      current_period_end: current.current_period_end,
+    });
+
+    if (current.cancel_at_period_end === true) {
+      logger.info(`[ℹ️] Abonnement déjà programmé pour annulation dans Stripe`);
+      return { endDate: toDate(current.current_period_end) };
+    }
+
+    const updated = await this.stripe.subscriptions.update(current.id, {
+      cancel_at_period_end: true,
+      metadata: {
+        canceled_by_user: "true",
+        canceled_at: new Date().toISOString(),
+      },
+    });
+
+    return { endDate: toDate(updated.current_period_end) };
+  }
+
+  // Annulation immédiate, sans proratisation
+  async cancelNow(subscription, { reason } = {}) {
+    return this.stripe.subscriptions.cancel(subscription.stripeSubscriptionId, {
+      prorate: false,
+      cancellation_details: reason ? { comment: reason } : undefined,
+    });
+  }
+
+  async reactivate(subscription) {
+    return this.stripe.subscriptions.update(subscription.stripeSubscriptionId, {
+      cancel_at_period_end: false,
+      // Fin à date précise éventuellement posée par une prolongation
+      cancel_at: "",
+      metadata: {
+        reactivated_by_user: "true",
+        reactivated_at: new Date().toISOString(),
+      },
+    });
+  }
+
+  // Facture prévisionnelle du passage au plan cible
+  async previewPlanChange(subscription, targetPlan) {
+    if (!targetPlan.stripePriceId) {
+      throw new Error(`Price ID non défini pour le plan ${targetPlan.code}`);
+    }
+
+    const current = await this.getSubscription(subscription);
+
+    // Même date de proratisation à transmettre lors du changement effectif
+    const prorationDate = Math.floor(Date.now() / 1000);
+
+    const upcoming = await this.stripe.invoices.retrieveUpcoming({
+      customer: current.customer,
+      subscription: current.id,
+      subscription_items: [
+        {
+          id: current.items.data[0].id,
+          price: targetPlan.stripePriceId,
+        },
+      ],
+      subscription_proration_behavior: "create_prorations",
+      subscription_proration_date: prorationDate,
+    });
+
+    const summary = summarizePlanChangeInvoice(upcoming);
+    const periodEnds = summary.lines.map((line) => line.periodEnd.getTime());
+    const nextBillingDate = periodEnds.length
+      ? new Date(Math.max(...periodEnds))
+      : toDate(current.current_period_end);
+
+    return { prorationDate, summary, nextBillingDate };
+  }
+
+  // Changement de prix immédiat ; la proratisation est ajoutée à la prochaine facture
+  async changePlan(subscription, targetPlan, { prorationDate, oldPlan } = {}) {
+    if (!targetPlan.stripePriceId) {
+      throw new Error(`Price ID non défini pour le plan ${targetPlan.code}`);
+    }
+
+    const current = await this.getSubscription(subscription);
+
+    logger.debug("[🔍] Abonnement Stripe actuel récupéré", {
+      id: current.id,
+      itemsCount: current.items.data.length,
+    });
+
+    const updated = await this.stripe.subscriptions.update(current.id, {
+      items: [
+        {
+          id: current.items.data[0].id,
+          price: targetPlan.stripePriceId,
+        },
+      ],
+      proration_behavior: "create_prorations",
+      ...(prorationDate && { proration_date: Number(prorationDate) }),
+      metadata: {
+        changed_by_user: "true",
+        changed_at: new Date().toISOString(),
+        old_plan: oldPlan,
+        new_plan: targetPlan.code,
+      },
+    });
+
+    // Lignes de proratisation en attente sur la prochaine facture
+    let prorationAmount = 0;
+    let prorationInvoice = null;
+    const upcoming = await this.stripe.invoices.retrieveUpcoming({
+      customer: updated.customer,
+      subscription: updated.id,
+    });
+    const summary = summarizePlanChangeInvoice(upcoming);
+    const prorationLines = summary.lines.filter((line) => line.proration);
+    if (prorationLines.length) {
+      prorationAmount = summary.prorationAmount;
+      prorationInvoice = {
+        status: "upcoming",
+        billingDate: toDate(upcoming.next_payment_attempt || upcoming.period_end),
+        currency: summary.currency,
+        lines: prorationLines,
+        prorationAmount,
+        total: summary.total,
+        amountDue: summary.amountDue,
+      };
+    }
+
+    return {
+      effective: "immediate",
+      // La période de facturation vient de Stripe : rien n'est perdu sur la période payée
+      effectiveDate: toDate(updated.current_period_end),
+      prorationAmount,
+      prorationInvoice,
+    };
+  }
+
+  // Planning Stripe : la phase en cours est conservée, le plan cible
+  // s'applique à l'échéance (les remises récurrentes sont reportées)
+  async schedulePlanChange(subscription, targetPlan, { oldPlan } = {}) {
+    if (!targetPlan.stripePriceId) {
+      throw new Error(`Price ID non défini pour le plan ${targetPlan.code}`);
+    }
+
+    const current = await this.getSubscription(subscription);
+
+    let schedule = current.schedule
+      ? await this.stripe.subscriptionSchedules.retrieve(
+          typeof current.schedule === "string"
+            ? current.schedule
+            : current.schedule.id
+        )
+      : await this.stripe.subscriptionSchedules.create({
+          from_subscription: current.id,
+        });
+
+    const currentPhase = schedule.phases.find(
+      (phase) => phase.start_date === schedule.current_phase?.start_date
+    ) || schedule.phases[0];
+    const currentPriceId = current.items.data[0].price.id;
+
+    const keepsDiscount =
+      subscription.discount?.stripeCouponId &&
+      subscription.discount.duration !== "once";
+    const phaseDiscounts = keepsDiscount
+      ? [{ coupon: subscription.discount.stripeCouponId }]
+      : undefined;
+
+    schedule = await this.stripe.subscriptionSchedules.update(schedule.id, {
+      end_behavior: "release",
+      phases: [
+        {
+          items: [{ price: currentPriceId, quantity: 1 }],
+          start_date: currentPhase.start_date,
+          end_date: currentPhase.end_date,
+          ...(currentPhase.trial_end && { trial_end: currentPhase.trial_end }),
+          ...(phaseDiscounts && { discounts: phaseDiscounts }),
+        },
+        {
+          items: [{ price: targetPlan.stripePriceId, quantity: 1 }],
+          proration_behavior: "none",
+          ...(phaseDiscounts && { discounts: phaseDiscounts }),
+        },
+      ],
+      metadata: {
+        userId: String(subscription.userId),
+        old_plan: oldPlan,
+        new_plan: targetPlan.code,
+      },
+    });
+
+    return {
+      scheduleId: schedule.id,
+      effectiveDate: toDate(schedule.phases[0].end_date),
+    };
+  }
+
+  // Libère le planning ; déjà terminé ou libéré : rien à annuler
+  async cancelScheduledPlanChange(scheduleId) {
+    try {
+      await this.stripe.subscriptionSchedules.release(scheduleId);
+      logger.info("[🗓️] Planning Stripe libéré", { stripeScheduleId: scheduleId });
+    } catch (stripeError) {
+      if (stripeError.type !== "StripeInvalidRequestError") throw stripeError;
+      logger.warn("[⚠️] Planning Stripe déjà libéré", {
+        stripeScheduleId: scheduleId,
+        error: stripeError.message,
+      });
+    }
+  }
+
+  async pause(subscription, { resumesAt, behavior }) {
+    return this.stripe.subscriptions.update(subscription.stripeSubscriptionId, {
+      pause_collection: {
+        behavior,
+        resumes_at: toTimestamp(resumesAt),
+      },
+    });
+  }
+
+  async resume(subscription) {
+    return this.stripe.subscriptions.update(subscription.stripeSubscriptionId, {
+      pause_collection: "",
+    });
+  }
+
+  // Annulation programmée : la fin est repoussée ; essai en cours : il est prolongé.
+  // Un abonnement payé n'est pas prolongé : trial_end le ferait repasser en essai
+  async extend(subscription, endDate) {
+    if (subscription.status === "canceling") {
+      return this.stripe.subscriptions.update(subscription.stripeSubscriptionId, {
+        cancel_at: toTimestamp(endDate),
+      });
+    }
+    if (subscription.status === "trialing") {
+      return this.stripe.subscriptions.update(subscription.stripeSubscriptionId, {
+        trial_end: toTimestamp(endDate),
+        proration_behavior: "none",
+      });
+    }
+
+    const error = new Error(
+      "Un abonnement Stripe payé ne peut pas être prolongé : programmez son annulation ou accordez un accès offert."
+    );
+    error.statusCode = 409;
+    throw error;
+  }
+
+  async retryPayment(invoiceId) {
+    return this.stripe.invoices.pay(invoiceId);
+  }
+
+  // Remboursement de la dernière facture payée (ou du dernier paiement connu)
+  async refundLastPayment(subscription, { reason } = {}) {
+    const invoices = await this.stripe.invoices.list({
+      subscription: subscription.stripeSubscriptionId,
+      status: "paid",
+      limit: 1,
+    });
+    const invoice = invoices.data[0];
+
+    const refundTarget = {};
+    if (invoice?.payment_intent) {
+      refundTarget.payment_intent = invoice.payment_intent;
+    } else if (invoice?.charge) {
+      refundTarget.charge = invoice.charge;
+    } else if (subscription.lastTransactionId?.startsWith("pi_")) {
+      refundTarget.payment_intent = subscription.lastTransactionId;
+    } else {
+      throw new Error("Aucun paiement remboursable trouvé");
+    }
+
+    logger.info("[📞] Création du remboursement Stripe", {
+      userId: subscription.userId,
+      invoiceId: invoice?.id,
+      ...refundTarget,
+    });
+
+    return this.stripe.refunds.create(
+      {
+        ...refundTarget,
+        reason: "requested_by_customer",
+        metadata: {
+          userId: String(subscription.userId),
+          stripeSubscriptionId: subscription.stripeSubscriptionId,
+          reason: reason || "Demande client",
+        },
+      },
+      {
+        idempotencyKey: `refund-${invoice?.id || refundTarget.payment_intent}`,
+      }
+    );
+  }
+
+  async listRefunds(chargeId) {
+    const refunds = await this.stripe.refunds.list({ charge: chargeId, limit: 10 });
+    return refunds.data;
+  }
+
+  // Webhook signé (corps brut requis)
+  async verifyWebhook(req) {
+    return this.stripe.webhooks.constructEvent(
+      req.body,
+      req.headers["stripe-signature"],
+      process.env.STRIPE_WEBHOOK_SECRET
+    );
+  }
+
+  async createBillingPortalSession(customerId, { returnUrl }) {
+    return this.stripe.billingPortal.sessions.create({
+      customer: customerId,
+      return_url: returnUrl,
+    });
+  }
+
+  async listPaymentMethods(customerId) {
+    const paymentMethods = await this.stripe.paymentMethods.list({
+      customer: customerId,
+      type: "card",
+    });
+    return paymentMethods.data;
+  }
+
+  async getPaymentMethod(paymentMethodId) {
+    return this.stripe.paymentMethods.retrieve(paymentMethodId);
+  }
+
+  async getDefaultPaymentMethodId(customerId) {
+    const customer = await this.stripe.customers.retrieve(customerId);
+    return idOf(customer.invoice_settings?.default_payment_method);
+  }
+
+  async getSubscriptionPaymentMethodId(subscription) {
+    const stripeSubscription = await this.stripe.subscriptions.retrieve(
+      subscription.stripeSubscriptionId
+    );
+    return idOf(stripeSubscription.default_payment_method);
+  }
+
+  async createSetupIntent(customerId, { userId }) {
+    const setupIntent = await this.stripe.setupIntents.create({
+      customer: customerId,
+      payment_method_types: ["card"],
+      usage: "off_session",
+      metadata: { userId: String(userId) },
+    });
+    return { id: setupIntent.id, clientSecret: setupIntent.client_secret };
+  }
+
+  async setDefaultPaymentMethod(customerId, paymentMethodId, subscription = null) {
+    await this.stripe.customers.update(customerId, {
+      invoice_settings: { default_payment_method: paymentMethodId },
+    });
+
+    if (subscription?.stripeSubscriptionId) {
+      await this.stripe.subscriptions.update(subscription.stripeSubscriptionId, {
+        default_payment_method: paymentMethodId,
+      });
+    }
+  }
+
+  async detachPaymentMethod(paymentMethodId) {
+    return this.stripe.paymentMethods.detach(paymentMethodId);
+  }
+
+  // Coupon Stripe et son code promotionnel
+  async createPromotionCode({
+    code,
+    name,
+    percentOff,
+    amountOff,
+    currency,
+    duration,
+    durationInMonths,
+    productIds = [],
+    maxRedemptions,
+    expiresAt,
+  }) {
+    const coupon = await this.stripe.coupons.create({
+      name: name || code,
+      ...(percentOff !== null
+        ? { percent_off: percentOff }
+        : { amount_off: Math.round(amountOff * 100), currency }),
+      duration,
+      ...(duration === "repeating" && { duration_in_months: durationInMonths }),
+      ...(productIds.length && { applies_to: { products: productIds } }),
+      metadata: { promoCode: code },
+    });
+
+    const promotionCode = await this.stripe.promotionCodes.create({
+      coupon: coupon.id,
+      code,
+      ...(maxRedemptions && { max_redemptions: maxRedemptions }),
+      ...(expiresAt && { expires_at: toTimestamp(expiresAt) }),
+      metadata: { promoCode: code },
+    });
+
+    return { couponId: coupon.id, promotionCodeId: promotionCode.id };
+  }
+
+  async deactivatePromotionCode(promotionCodeId) {
+    return this.stripe.promotionCodes.update(promotionCodeId, { active: false });
+  }
+
+  async deleteCoupon(couponId) {
+    return this.stripe.coupons.del(couponId);
+  }
+
+  async createProduct({ name, description, planCode }) {
+    const product = await this.stripe.products.create({
+      name,
+      description: description || undefined,
+      metadata: { planCode },
+    });
+    return { id: product.id };
+  }
+
+  async updateProduct(productId, { name, description, active }) {
+    return this.stripe.products.update(productId, {
+      ...(name !== undefined && { name }),
+      ...(description !== undefined && { description: description || undefined }),
+      ...(active !== undefined && { active }),
+    });
+  }
+
+  async createPrice({ productId, amount, currency, interval, intervalCount, planCode }) {
+    const price = await this.stripe.prices.create({
+      product: productId,
+      unit_amount: Math.round(amount * 100),
+      currency,
+      recurring: { interval, interval_count: intervalCount },
+      metadata: { planCode },
+    });
+    return { id: price.id };
+  }
+
+  async deactivatePrice(priceId) {
+    return this.stripe.prices.update(priceId, { active: false });
+  }
+
+  async getPriceProductId(priceId) {
+    const price = await this.stripe.prices.retrieve(priceId);
+    return idOf(price.product);
+  }
+}
+
+module.exports = StripeProvider;
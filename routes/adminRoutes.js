@@ -0,0 +1,104 @@
+const express = require('express');
+const { authMiddleware, roleMiddleware } = require("../middlewares/authMiddleware.js");
+const adminPlanController = require('../controllers/adminPlanController');
+const adminPromoCodeController = require('../controllers/adminPromoCodeController');
+const adminApiKeyController = require('../controllers/adminApiKeyController');
+const adminSubscriptionController = require('../controllers/adminSubscriptionController');
+const adminReportController = require('../controllers/adminReportController');
+const { apiKeyOrAdminMiddleware } = require("../middlewares/apiKeyMiddleware");
+const AuditContext = require("../utils/auditContext");
+
+const router = express.Router();
+
+// RAPPORTS (administrateur connecté ou clé API avec la portée reports:read)
+
+// Rapport de revenus
+router.get(
+  "/reports/revenue",
+  apiKeyOrAdminMiddleware(["reports:read"]),
+  adminReportController.getRevenueReport
+);
+
+// Toutes les autres routes d'administration nécessitent un administrateur connecté
+router.use(authMiddleware, roleMiddleware(["admin"]), AuditContext.middleware("admin"));
+
+// CATALOGUE DE PLANS
+
+// Lister tous les plans (archivés compris)
+router.get("/plans", adminPlanController.listPlans);
+
+// Créer un plan
+router.post("/plans", adminPlanController.createPlan);
+
+// Modifier un plan (nom, description, droits, fenêtre de remboursement)
+router.put("/plans/:code", adminPlanController.updatePlan);
+
+// Changer le prix d'un plan
+router.put("/plans/:code/price", adminPlanController.repricePlan);
+
+// Archiver / réactiver un plan
+router.post("/plans/:code/archive", adminPlanController.archivePlan);
+router.post("/plans/:code/unarchive", adminPlanController.unarchivePlan);
+
+// Supprimer un plan inutilisé
+router.delete("/plans/:code", adminPlanController.deletePlan);
+
+// CODES PROMO
+
+// Lister les codes promo
+router.get("/promo-codes", adminPromoCodeController.listPromoCodes);
+
+// Créer un coupon et son code promo (miroir Stripe)
+router.post("/promo-codes", adminPromoCodeController.createPromoCode);
+
+// Désactiver un code promo
+router.delete("/promo-codes/:code", adminPromoCodeController.deactivatePromoCode);
+
+// ABONNEMENTS (actions pour le compte d'un utilisateur, inscrites au journal d'audit)
+
+// Rechercher les abonnements (?status, plan, paymentMethod, email, stripeId, page, limit)
+router.get("/subscriptions", adminSubscriptionController.listSubscriptions);
+
+// Détail de l'abonnement d'un utilisateur
+router.get("/subscriptions/:userId", adminSubscriptionController.getSubscription);
+
+// Annuler (immédiatement avec { immediate: true }, sinon en fin de période)
+router.post("/subscriptions/:userId/cancel", adminSubscriptionController.cancel);
+
+// Réactiver un abonnement dont l'annulation est programmée
+router.post("/subscriptions/:userId/reactivate", adminSubscriptionController.reactivate);
+
+// Prolonger jusqu'à une nouvelle date de fin
+router.post("/subscriptions/:userId/extend", adminSubscriptionController.extend);
+
+// Changer le plan
+router.put("/subscriptions/:userId/plan", adminSubscriptionController.changePlan);
+
+// Rembourser (annulation immédiate)
+router.post("/subscriptions/:userId/refund", adminSubscriptionController.refund);
+
+// Resynchroniser depuis Stripe
+router.post("/subscriptions/:userId/resync", adminSubscriptionController.resync);
+
+// Offrir un accès premium sans abonnement Stripe / le révoquer
+router.post("/subscriptions/:userId/grant", adminSubscriptionController.grant);
+router.delete("/subscriptions/:userId/grant", adminSubscriptionController.revokeGrant);
+
+// Journal d'audit des actions administrateur
+router.get("/audit-log", adminSubscriptionController.listAuditLog);
+
+// CLÉS API (SERVICE À SERVICE)
+
+// Lister les clés API
+router.get("/api-keys", adminApiKeyController.listApiKeys);
+
+// Émettre une clé API
+router.post("/api-keys", adminApiKeyController.issueApiKey);
+
+// Renouveler une clé API
+router.post("/api-keys/:id/rotate", adminApiKeyController.rotateApiKey);
+
+// Révoquer une clé API
+router.delete("/api-keys/:id", adminApiKeyController.revokeApiKey);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const { apiKeyMiddleware } = require("../middlewares/apiKeyMiddleware");
+const entitlementController = require('../controllers/entitlementController');
+
+const router = express.Router();
+
+// Routes service à service : clé API avec la portée entitlements:read
+router.use(apiKeyMiddleware(["entitlements:read"]));
+
+// Droits de plusieurs utilisateurs
+router.post("/batch", entitlementController.getEntitlementsBatch);
+
+// Droits d'un utilisateur
+router.get("/:userId", entitlementController.getEntitlements);
+
+module.exports = router;
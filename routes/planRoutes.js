@@ -0,0 +1,14 @@
+const express = require('express');
+const planController = require('../controllers/planController');
+
+const router = express.Router();
+
+// Routes publiques : pas d'authentification requise
+
+// Lister les plans disponibles
+router.get("/", planController.listPlans);
+
+// Détail d'un plan
+router.get("/:code", planController.getPlan);
+
+module.exports = router;
@@ -1,18 +1,44 @@
 const express = require('express');
-const { authMiddleware } = require("../middlewares/authMiddleware.js");
+const { authMiddleware, roleMiddleware } = require("../middlewares/authMiddleware.js");
 const subscriptionController = require('../controllers/subscriptionController');
+const paymentMethodController = require("../controllers/paymentMethodController");
+const ValidationMiddleware = require("../middlewares/validationMiddleware");
+const AuditContext = require("../utils/auditContext");
 
 const router = express.Router();
 
 // Middleware d'authentification global : toutes les routes nécessitent un utilisateur connecté
-router.use(authMiddleware);
+router.use(authMiddleware, AuditContext.middleware("user"));
 
 // Récupérer l'abonnement de l'utilisateur connecté
 router.get("/current", subscriptionController.getCurrentSubscription);
 
+// Flux temps réel (SSE) des changements de l'abonnement
+router.get("/events", subscriptionController.streamEvents);
+
 // Récupérer l'abonnement d'un utilisateur spécifique (admin ou soi-même)
 router.get("/user/:userId", subscriptionController.getUserSubscription);
 
+// Historique des paiements de l'utilisateur connecté
+router.get("/payments", subscriptionController.getPaymentHistory);
+
+// Historique des paiements d'un utilisateur spécifique (admin)
+router.get(
+  "/user/:userId/payments",
+  roleMiddleware(["admin"]),
+  subscriptionController.getUserPaymentHistory
+);
+
+// Historique des changements de l'abonnement de l'utilisateur connecté
+router.get("/history", subscriptionController.getHistory);
+
+// Historique des changements d'abonnement d'un utilisateur spécifique (admin)
+router.get(
+  "/user/:userId/history",
+  roleMiddleware(["admin"]),
+  subscriptionController.getUserHistory
+);
+
 // Vérifier l'éligibilité au remboursement
 router.get("/refund/eligibility", subscriptionController.checkRefundEligibility);
 
@@ -25,10 +51,50 @@ router.delete("/cancel", subscriptionController.cancel);
 // Réactiver un abonnement annulé (si éligible)
 router.post("/reactivate", subscriptionController.reactivate);
 
+// Mettre en pause la facturation jusqu'à une date de reprise
+router.post("/pause", subscriptionController.pause);
+
+// Reprendre la facturation d'un abonnement en pause
+router.post("/resume", subscriptionController.resume);
+
+// Aperçu du changement de plan (proratisation calculée par Stripe)
+router.get("/change-plan/preview", subscriptionController.previewPlanChange);
+
 // Changer le plan (mensuel ↔ annuel)
 router.put("/change-plan", subscriptionController.changePlan);
 
+// Annuler un changement de plan programmé pour la fin de période
+router.delete(
+  "/change-plan/pending",
+  subscriptionController.cancelPendingPlanChange
+);
+
+// Ouvrir le portail de facturation Stripe
+router.post("/portal", paymentMethodController.createPortalSession);
+
+// Cartes enregistrées : liste, ajout (SetupIntent), carte par défaut, suppression
+router.get("/payment-methods", paymentMethodController.listPaymentMethods);
+router.post(
+  "/payment-methods/setup-intent",
+  paymentMethodController.createSetupIntent
+);
+router.put(
+  "/payment-methods/:paymentMethodId/default",
+  paymentMethodController.setDefaultPaymentMethod
+);
+router.delete(
+  "/payment-methods/:paymentMethodId",
+  paymentMethodController.removePaymentMethod
+);
+
 // Créer une session Stripe Checkout (initialisation de paiement)
-router.post("/checkout", subscriptionController.createCheckoutSession);
+router.post(
+  "/checkout",
+  ValidationMiddleware.validatePaymentData,
+  subscriptionController.createCheckoutSession
+);
+
+// Vérifier une session Checkout depuis la page de succès
+router.get("/checkout/:sessionId", subscriptionController.verifyCheckoutSession);
 
 module.exports = router;
\ No newline at end of file
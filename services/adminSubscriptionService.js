@@ -0,0 +1,288 @@
+const Subscription = require("../models/Subscription");
+const User = require("../models/User");
+const AdminAuditLog = require("../models/AdminAuditLog");
+const SubscriptionIntegrationService = require("./subscriptionIntegrationService");
+const PlanService = require("./planService");
+const SubscriptionSyncService = require("./subscriptionSyncService");
+const PaymentProviders = require("../providers");
+const { logger } = require("../utils/logger");
+const mongoose = require("mongoose");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Champs de l'abonnement conservés dans le journal d'audit
+const SUMMARY_FIELDS = [
+  "status",
+  "plan",
+  "isActive",
+  "cancelationType",
+  "endDate",
+  "refundStatus",
+  "pendingPlanChange",
+  "stripeSubscriptionId",
+  "paypalSubscriptionId",
+];
+
+const USER_FIELDS = { email: 1, firstName: 1, lastName: 1, role: 1 };
+
+function adminError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function paginate({ page, limit }) {
+  const currentPage = Math.max(1, parseInt(page, 10) || 1);
+  const pageSize = Math.min(
+    MAX_PAGE_SIZE,
+    Math.max(1, parseInt(limit, 10) || DEFAULT_PAGE_SIZE)
+  );
+  return { currentPage, pageSize };
+}
+
+// Écrit une entrée du journal d'audit sans jamais faire échouer l'action
+async function writeAuditLog(entry) {
+  try {
+    await AdminAuditLog.create(entry);
+  } catch (auditError) {
+    logger.error("[❌] Impossible d'écrire le journal d'audit", {
+      action: entry.action,
+      userId: entry.targetUserId,
+      status: entry.status,
+      error: auditError.message,
+    });
+  }
+}
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const summarize = (subscription) =>
+  subscription
+    ? JSON.parse(
+        JSON.stringify(
+          Object.fromEntries(
+            SUMMARY_FIELDS.map((field) => [field, subscription[field] ?? null])
+          )
+        )
+      )
+    : null;
+
+// Synchronisation (partagée avec les webhooks) de l'abonnement relu chez chaque fournisseur
+const RESYNC_HANDLERS = {
+  stripe: (stripeSubscription) =>
+    stripeSubscription.status === "canceled"
+      ? SubscriptionSyncService.endStripeSubscription(stripeSubscription)
+      : SubscriptionSyncService.syncStripeSubscription(stripeSubscription),
+  paypal: (paypalSubscription) =>
+    SubscriptionSyncService.syncPayPalSubscription(paypalSubscription),
+};
+
+// Resynchronise l'abonnement local à partir de l'état chez le fournisseur
+async function resyncFromProvider(userId) {
+  const subscription = await Subscription.findOne({ userId });
+  const provider = PaymentProviders.forSubscription(subscription);
+  if (!provider?.getSubscriptionId(subscription)) {
+    throw adminError("Aucun abonnement payant associé à cet utilisateur.", 409);
+  }
+
+  const remoteSubscription = await provider.getSubscription(subscription);
+
+  logger.info(`[🔁] Resynchronisation depuis ${provider.label}`, {
+    userId,
+    providerSubscriptionId: remoteSubscription.id,
+    providerStatus: remoteSubscription.status,
+  });
+
+  // Mêmes traitements que les webhooks correspondants
+  return RESYNC_HANDLERS[provider.name](remoteSubscription);
+}
+
+// Actions disponibles : chacune délègue à l'opération existante
+const ACTIONS = {
+  cancel_immediately: (userId, { reason }) =>
+    SubscriptionIntegrationService.cancelSubscriptionImmediately(userId, { reason }),
+  cancel_at_period_end: (userId) =>
+    SubscriptionIntegrationService.cancelSubscriptionAtPeriodEnd(userId),
+  reactivate: (userId) =>
+    SubscriptionIntegrationService.reactivateSubscription(userId),
+  extend: (userId, { endDate }) =>
+    SubscriptionIntegrationService.extendSubscription(userId, { endDate }),
+  change_plan: async (userId, { newPlan, effective }) => {
+    if (!(await PlanService.isValidPlanCode(newPlan))) {
+      throw adminError("Plan invalide.", 400);
+    }
+    return SubscriptionIntegrationService.changePlan(userId, newPlan, { effective });
+  },
+  refund: (userId, { reason }) =>
+    SubscriptionIntegrationService.refundSubscription(userId, {
+      reason: reason || "Remboursement administrateur",
+    }),
+  resync: (userId) => resyncFromProvider(userId),
+  grant: (userId, params, { adminId }) =>
+    SubscriptionIntegrationService.grantManualSubscription(userId, params, adminId),
+  revoke_grant: (userId, { reason }, { adminId }) =>
+    SubscriptionIntegrationService.revokeManualSubscription(
+      userId,
+      { reason },
+      adminId
+    ),
+};
+
+const AdminSubscriptionService = {
+  ACTIONS: Object.keys(ACTIONS),
+
+  // Recherche paginée d'abonnements (statut, plan, moyen de paiement, email, identifiants Stripe)
+  async searchSubscriptions({
+    status,
+    plan,
+    paymentMethod,
+    email,
+    stripeId,
+    page,
+    limit,
+  } = {}) {
+    const { currentPage, pageSize } = paginate({ page, limit });
+    const filter = {};
+
+    if (status) filter.status = { $in: String(status).split(",") };
+    if (plan) filter.plan = String(plan).toLowerCase();
+    if (paymentMethod) filter.paymentMethod = String(paymentMethod);
+
+    if (stripeId) {
+      filter.$or = [
+        { stripeCustomerId: stripeId },
+        { stripeSubscriptionId: stripeId },
+        { stripePriceId: stripeId },
+        { sessionId: stripeId },
+      ];
+    }
+
+    if (email) {
+      const users = await User.find(
+        { email: { $regex: escapeRegex(String(email).trim()), $options: "i" } },
+        { _id: 1 }
+      ).limit(1000);
+      filter.userId = { $in: users.map((user) => user._id) };
+    }
+
+    const [subscriptions, total] = await Promise.all([
+      Subscription.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip((currentPage - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      Subscription.countDocuments(filter),
+    ]);
+
+    const users = await User.find(
+      { _id: { $in: subscriptions.map((s) => s.userId) } },
+      USER_FIELDS
+    ).lean();
+    const usersById = new Map(users.map((user) => [String(user._id), user]));
+
+    return {
+      subscriptions: subscriptions.map((subscription) => ({
+        ...subscription,
+        user: usersById.get(String(subscription.userId)) || null,
+      })),
+      pagination: {
+        page: currentPage,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize),
+      },
+    };
+  },
+
+  // Abonnement d'un utilisateur avec ses informations de compte
+  async getSubscription(userId) {
+    if (!mongoose.isValidObjectId(userId)) {
+      throw adminError("ID utilisateur invalide.", 400);
+    }
+
+    const [subscription, user] = await Promise.all([
+      Subscription.findOne({ userId }),
+      User.findById(userId, USER_FIELDS),
+    ]);
+
+    if (!subscription) throw adminError("Aucun abonnement pour cet utilisateur.", 404);
+    return { subscription, user };
+  },
+
+  // Exécute une action pour le compte d'un utilisateur et l'inscrit au journal d'audit
+  async performAction(action, userId, params = {}, { adminId, ip, userAgent } = {}) {
+    const run = ACTIONS[action];
+    if (!run) throw adminError(`Action inconnue : ${action}.`, 400);
+    if (!mongoose.isValidObjectId(userId)) {
+      throw adminError("ID utilisateur invalide.", 400);
+    }
+
+    const before = await Subscription.findOne({ userId });
+    const entry = {
+      adminId,
+      action,
+      targetUserId: userId,
+      subscriptionId: before?._id,
+      params,
+      before: summarize(before),
+      ip,
+      userAgent,
+    };
+
+    logger.info(`[🛠️] Action admin ${action}`, { adminId, userId, params });
+
+    let result;
+    try {
+      result = await run(userId, params, { adminId });
+    } catch (error) {
+      await writeAuditLog({ ...entry, status: "failed", error: error.message });
+      throw error;
+    }
+
+    // L'action a eu lieu : un échec du journal ne doit pas la faire passer pour ratée
+    const after = await Subscription.findOne({ userId });
+    await writeAuditLog({ ...entry, status: "succeeded", after: summarize(after) });
+
+    return { result, subscription: after };
+  },
+
+  // Journal d'audit paginé (filtres : admin, utilisateur ciblé, action, statut)
+  async listAuditLog({ adminId, targetUserId, action, status, page, limit } = {}) {
+    const { currentPage, pageSize } = paginate({ page, limit });
+    const filter = {};
+
+    if (adminId) {
+      if (!mongoose.isValidObjectId(adminId)) throw adminError("adminId invalide.", 400);
+      filter.adminId = adminId;
+    }
+    if (targetUserId) {
+      if (!mongoose.isValidObjectId(targetUserId)) {
+        throw adminError("targetUserId invalide.", 400);
+      }
+      filter.targetUserId = targetUserId;
+    }
+    if (action) filter.action = action;
+    if (status) filter.status = status;
+
+    const [entries, total] = await Promise.all([
+      AdminAuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((currentPage - 1) * pageSize)
+        .limit(pageSize),
+      AdminAuditLog.countDocuments(filter),
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        page: currentPage,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize),
+      },
+    };
+  },
+};
+
+module.exports = AdminSubscriptionService;
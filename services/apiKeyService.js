@@ -0,0 +1,171 @@
+const ApiKey = require("../models/ApiKey");
+const { logger } = require("../utils/logger");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+// Portées attribuables à une clé
+const SCOPES = ["entitlements:read", "reports:read"];
+
+const KEY_PREFIX = "rtk_";
+
+// Délai minimal entre deux mises à jour de lastUsedAt pour une même clé
+const LAST_USED_THROTTLE_MS = 60 * 1000;
+
+function apiKeyError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function hashKey(rawKey) {
+  return crypto.createHash("sha256").update(rawKey).digest("hex");
+}
+
+// Génère une clé brute et son empreinte
+function generateKey() {
+  const rawKey = `${KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+  return {
+    rawKey,
+    prefix: rawKey.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hashKey(rawKey),
+  };
+}
+
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw apiKeyError("Au moins une portée (scopes) est requise.", 400);
+  }
+  const unknown = scopes.filter((scope) => !SCOPES.includes(scope));
+  if (unknown.length) {
+    throw apiKeyError(
+      `Portée(s) inconnue(s) : ${unknown.join(", ")}. Portées disponibles : ${SCOPES.join(", ")}.`,
+      400
+    );
+  }
+  return [...new Set(scopes)];
+}
+
+function parseExpiresAt(expiresAt) {
+  if (!expiresAt) return null;
+  const date = new Date(expiresAt);
+  if (isNaN(date.getTime()) || date <= new Date()) {
+    throw apiKeyError("expiresAt doit être une date future valide.", 400);
+  }
+  return date;
+}
+
+async function getKeyOrFail(id) {
+  if (!mongoose.isValidObjectId(id)) throw apiKeyError("Clé API introuvable.", 404);
+  const apiKey = await ApiKey.findById(id);
+  if (!apiKey) throw apiKeyError("Clé API introuvable.", 404);
+  return apiKey;
+}
+
+const ApiKeyService = {
+  SCOPES,
+
+  // Émet une nouvelle clé : la valeur brute n'est renvoyée qu'une seule fois
+  async issueKey(data, adminId, { rotatedFrom = null } = {}) {
+    const name = data.name?.trim();
+    if (!name) throw apiKeyError("Le nom de la clé est requis.", 400);
+
+    const scopes = validateScopes(data.scopes);
+    const expiresAt = parseExpiresAt(data.expiresAt);
+    const { rawKey, prefix, keyHash } = generateKey();
+
+    const apiKey = await ApiKey.create({
+      name,
+      prefix,
+      keyHash,
+      scopes,
+      expiresAt,
+      rotatedFrom,
+      createdBy: adminId,
+    });
+
+    logger.info("[🔑] Clé API émise", { id: apiKey._id, name, prefix, scopes });
+    return { apiKey, key: rawKey };
+  },
+
+  // Liste des clés (sans empreinte) ; une clé en délai de grâce après renouvellement reste listée
+  async listKeys({ includeRevoked = false } = {}) {
+    const filter = includeRevoked
+      ? {}
+      : { $or: [{ revokedAt: null }, { revokedAt: { $gt: new Date() } }] };
+    return ApiKey.find(filter).sort({ createdAt: -1 });
+  },
+
+  // Remplace une clé par une nouvelle de même nom et mêmes portées.
+  // L'ancienne reste valable pendant gracePeriodMinutes (0 = révocation immédiate).
+  async rotateKey(id, { gracePeriodMinutes = 0, expiresAt } = {}, adminId) {
+    const previous = await getKeyOrFail(id);
+    if (!previous.isUsable()) {
+      throw apiKeyError("Impossible de renouveler une clé révoquée ou expirée.", 409);
+    }
+
+    const grace = Number(gracePeriodMinutes) || 0;
+    if (grace < 0) {
+      throw apiKeyError("gracePeriodMinutes doit être positif.", 400);
+    }
+
+    const rotated = await this.issueKey(
+      {
+        name: previous.name,
+        scopes: previous.scopes,
+        expiresAt: expiresAt !== undefined ? expiresAt : previous.expiresAt,
+      },
+      adminId,
+      { rotatedFrom: previous._id }
+    );
+
+    previous.revokedAt = new Date(Date.now() + grace * 60 * 1000);
+    await previous.save();
+
+    logger.info("[🔄] Clé API renouvelée", {
+      previousId: previous._id,
+      id: rotated.apiKey._id,
+      revokedAt: previous.revokedAt,
+    });
+    return rotated;
+  },
+
+  // Révoque immédiatement une clé
+  async revokeKey(id) {
+    const apiKey = await getKeyOrFail(id);
+    if (apiKey.revokedAt && apiKey.revokedAt <= new Date()) {
+      return apiKey;
+    }
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+
+    logger.info("[🚫] Clé API révoquée", { id: apiKey._id, name: apiKey.name });
+    return apiKey;
+  },
+
+  // Retrouve une clé utilisable à partir de sa valeur brute (null sinon)
+  async authenticate(rawKey) {
+    if (!rawKey || typeof rawKey !== "string" || !rawKey.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    const apiKey = await ApiKey.findOne({ keyHash: hashKey(rawKey) });
+    if (!apiKey || !apiKey.isUsable()) return null;
+
+    const now = Date.now();
+    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt.getTime() > LAST_USED_THROTTLE_MS) {
+      // Mise à jour non bloquante : un échec ne doit pas refuser l'appel
+      ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(now) }).catch(
+        (error) =>
+          logger.warn("[⚠️] Mise à jour lastUsedAt impossible", {
+            id: apiKey._id,
+            error: error.message,
+          })
+      );
+    }
+
+    return apiKey;
+  },
+};
+
+module.exports = ApiKeyService;
@@ -0,0 +1,126 @@
+const Subscription = require("../models/Subscription");
+const Plan = require("../models/Plan");
+const SubscriptionStateMachine = require("./subscriptionStateMachine");
+const { logger } = require("../utils/logger");
+const mongoose = require("mongoose");
+
+// Durée de vie du cache des droits (courte : l'état d'abonnement fait foi)
+const CACHE_TTL_MS = parseInt(process.env.ENTITLEMENTS_CACHE_TTL_MS, 10) || 30 * 1000;
+const MAX_BATCH_SIZE = 100;
+// Nombre maximal d'utilisateurs en cache (les plus anciens sont évincés)
+const CACHE_MAX_ENTRIES =
+  parseInt(process.env.ENTITLEMENTS_CACHE_MAX_ENTRIES, 10) || 10000;
+
+// Map : l'ordre d'insertion donne les entrées les plus anciennes en premier
+const cache = new Map();
+
+// Retire les entrées expirées, puis les plus anciennes
+// (jusqu'à 90 % de la limite, pour ne pas balayer à chaque ajout)
+function evict() {
+  const now = Date.now();
+  for (const [userId, entry] of cache) {
+    if (entry.expiresAt <= now) cache.delete(userId);
+  }
+  const target = Math.floor(CACHE_MAX_ENTRIES * 0.9);
+  for (const userId of cache.keys()) {
+    if (cache.size <= target) break;
+    cache.delete(userId);
+  }
+}
+
+function fromCache(userId) {
+  const entry = cache.get(userId);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    cache.delete(userId);
+    return null;
+  }
+  return entry.value;
+}
+
+function toCache(userId, value) {
+  cache.delete(userId);
+  cache.set(userId, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  if (cache.size > CACHE_MAX_ENTRIES) evict();
+}
+
+// Droits d'un utilisateur à partir de son abonnement et du plan associé
+function buildEntitlements(userId, subscription, plan) {
+  const premium = subscription
+    ? SubscriptionStateMachine.hasAccess(subscription.status, subscription)
+    : false;
+
+  return {
+    userId,
+    premium,
+    status: subscription?.status || null,
+    plan: premium ? subscription.plan : null,
+    features: premium ? plan?.entitlements?.features || [] : [],
+    quotas: premium ? Object.fromEntries(plan?.entitlements?.quotas || []) : {},
+    validUntil: premium ? subscription.endDate || null : null,
+    checkedAt: new Date(),
+  };
+}
+
+const EntitlementService = {
+  MAX_BATCH_SIZE,
+
+  // Droits d'un utilisateur (avec cache court)
+  async getEntitlements(userId) {
+    const [entitlements] = await this.getEntitlementsBatch([userId]);
+    return entitlements;
+  },
+
+  // Droits de plusieurs utilisateurs en deux requêtes (abonnements puis plans)
+  async getEntitlementsBatch(userIds) {
+    const ids = [...new Set(userIds.map(String))];
+    const results = new Map();
+    const missing = [];
+
+    for (const id of ids) {
+      const cached = fromCache(id);
+      if (cached) results.set(id, cached);
+      else missing.push(id);
+    }
+
+    if (missing.length) {
+      const subscriptions = await Subscription.find(
+        { userId: { $in: missing.map((id) => new mongoose.Types.ObjectId(id)) } },
+        { userId: 1, status: 1, plan: 1, endDate: 1, pause: 1 }
+      ).lean();
+
+      const planCodes = [...new Set(subscriptions.map((s) => s.plan))];
+      const plans = await Plan.find({ code: { $in: planCodes } });
+      const plansByCode = new Map(plans.map((plan) => [plan.code, plan]));
+      const subscriptionsByUser = new Map(
+        subscriptions.map((s) => [String(s.userId), s])
+      );
+
+      for (const id of missing) {
+        const subscription = subscriptionsByUser.get(id);
+        const entitlements = buildEntitlements(
+          id,
+          subscription,
+          subscription && plansByCode.get(subscription.plan)
+        );
+        toCache(id, entitlements);
+        results.set(id, entitlements);
+      }
+
+      logger.debug("[🎫] Droits calculés", {
+        requested: ids.length,
+        computed: missing.length,
+      });
+    }
+
+    return ids.map((id) => results.get(id));
+  },
+
+  // Vide le cache (tous les utilisateurs ou un seul)
+  invalidate(userId) {
+    if (userId) cache.delete(String(userId));
+    else cache.clear();
+  },
+};
+
+module.exports = EntitlementService;
@@ -0,0 +1,49 @@
+const os = require("os");
+const JobLock = require("../models/JobLock");
+const { logger } = require("../utils/logger");
+
+// Identifiant de cette instance du service
+const OWNER_ID = `${os.hostname()}-${process.pid}`;
+
+const JobLockService = {
+
+  // Tente d'obtenir le verrou d'une tâche pour une durée limitée (bail)
+  async acquire(name, ttlMs) {
+    const now = new Date();
+
+    try {
+      await JobLock.findOneAndUpdate(
+        {
+          name,
+          $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+        },
+        {
+          $set: {
+            owner: OWNER_ID,
+            lockedUntil: new Date(now.getTime() + ttlMs),
+            lastRunAt: now,
+          },
+        },
+        { upsert: true, new: true }
+      );
+      return true;
+    } catch (error) {
+      // Clé dupliquée : une autre instance détient déjà le verrou
+      if (error.code === 11000) {
+        logger.debug("[🔒] Verrou déjà détenu par une autre instance", { name });
+        return false;
+      }
+      throw error;
+    }
+  },
+
+  // Libère le verrou si cette instance le détient encore
+  async release(name) {
+    await JobLock.updateOne(
+      { name, owner: OWNER_ID },
+      { $set: { lockedUntil: null } }
+    );
+  },
+};
+
+module.exports = JobLockService;
@@ -87,8 +87,35 @@ class NotificationService {
     return this.sendEmail('payment_failed', userEmail, paymentData);
   }
 
+  // Envoie un rappel avant la fin de l'essai gratuit (premier prélèvement)
+  static async sendTrialEnding(userEmail, trialData) {
+    return this.sendEmail('trial_ending', userEmail, trialData);
+  }
+
+  // Envoie une notification lorsque l'abonnement est suspendu pour impayé
+  static async sendSubscriptionSuspended(userEmail, subscriptionData) {
+    return this.sendEmail('subscription_suspended', userEmail, subscriptionData);
+  }
+
   // Génère les données de facture (pour email ou PDF)
   static generateInvoiceData(subscription, payment) {
+    const subtotal = payment.subtotal ?? payment.amount;
+    const items = [{
+      description: `Abonnement ${subscription.plan} ROADTRIP`,
+      quantity: 1,
+      unitPrice: subtotal,
+      total: subtotal
+    }];
+
+    if (payment.discount?.amount > 0) {
+      items.push({
+        description: `Remise ${payment.discount.code}`,
+        quantity: 1,
+        unitPrice: -payment.discount.amount,
+        total: -payment.discount.amount
+      });
+    }
+
     return {
       invoiceNumber: `ROADTRIP-${Date.now()}`,
       date: new Date().toLocaleDateString('fr-FR'),
@@ -96,13 +123,9 @@ class NotificationService {
         email: subscription.userEmail || subscription.email || 'inconnu',
         name: subscription.userName || 'Client'
       },
-      items: [{
-        description: `Abonnement ${subscription.plan} ROADTRIP`,
-        quantity: 1,
-        unitPrice: payment.amount,
-        total: payment.amount
-      }],
-      subtotal: payment.amount,
+      items,
+      subtotal,
+      discount: payment.discount || null,
       total: payment.amount,
       currency: payment.currency?.toUpperCase() || 'EUR',
       paymentMethod: 'Carte bancaire (Stripe)',
@@ -0,0 +1,165 @@
+const Subscription = require("../models/Subscription");
+const PaymentProviders = require("../providers");
+const { logger } = require("../utils/logger");
+
+// Statuts pour lesquels la carte par défaut sert encore aux prélèvements
+const BILLED_STATUSES = ["active", "trialing", "canceling", "suspended", "paused"];
+
+function paymentMethodError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Représentation d'une carte exposée au frontend
+function toCardJSON(paymentMethod, defaultPaymentMethodId) {
+  return {
+    id: paymentMethod.id,
+    brand: paymentMethod.card?.brand,
+    last4: paymentMethod.card?.last4,
+    expMonth: paymentMethod.card?.exp_month,
+    expYear: paymentMethod.card?.exp_year,
+    isDefault: paymentMethod.id === defaultPaymentMethodId,
+  };
+}
+
+// Résolu à chaque appel : un fournisseur enregistré ensuite (registerProvider) est pris en compte
+const stripeProvider = () => PaymentProviders.getProvider("stripe");
+
+const PaymentMethodService = {
+
+  // Abonnement local portant le client Stripe de l'utilisateur
+  async getBillingSubscription(userId) {
+    const subscription = await Subscription.findOne({ userId });
+    if (!subscription?.stripeCustomerId) {
+      throw paymentMethodError("Aucun client Stripe associé à ce compte.", 404);
+    }
+    return subscription;
+  },
+
+  // Vérifie qu'un moyen de paiement appartient bien au client
+  async getOwnedPaymentMethod(customerId, paymentMethodId) {
+    try {
+      const paymentMethod = await stripeProvider().getPaymentMethod(paymentMethodId);
+      if (paymentMethod.customer === customerId) return paymentMethod;
+    } catch (stripeError) {
+      logger.warn("[⚠️] Moyen de paiement introuvable dans Stripe", {
+        paymentMethodId,
+        error: stripeError.message,
+      });
+    }
+    throw paymentMethodError("Moyen de paiement introuvable.", 404);
+  },
+
+  // Crée une session du portail de facturation Stripe
+  async createPortalSession(userId) {
+    const { stripeCustomerId } = await this.getBillingSubscription(userId);
+
+    const session = await stripeProvider().createBillingPortalSession(
+      stripeCustomerId,
+      { returnUrl: `${process.env.CLIENT_URL}/premium` }
+    );
+
+    logger.info("[🧭] Session portail de facturation créée", {
+      userId,
+      stripeCustomerId,
+    });
+    return session;
+  },
+
+  // Liste des cartes enregistrées
+  async listPaymentMethods(userId) {
+    const { stripeCustomerId } = await this.getBillingSubscription(userId);
+
+    const provider = stripeProvider();
+    const [paymentMethods, defaultPaymentMethodId] = await Promise.all([
+      provider.listPaymentMethods(stripeCustomerId),
+      provider.getDefaultPaymentMethodId(stripeCustomerId),
+    ]);
+
+    return paymentMethods.map((paymentMethod) =>
+      toCardJSON(paymentMethod, defaultPaymentMethodId)
+    );
+  },
+
+  // Crée un SetupIntent pour enregistrer une nouvelle carte côté frontend
+  async createSetupIntent(userId) {
+    const { stripeCustomerId } = await this.getBillingSubscription(userId);
+
+    const setupIntent = await stripeProvider().createSetupIntent(stripeCustomerId, {
+      userId,
+    });
+
+    logger.info("[💳] SetupIntent créé", {
+      userId,
+      setupIntentId: setupIntent.id,
+    });
+    return { clientSecret: setupIntent.clientSecret, setupIntentId: setupIntent.id };
+  },
+
+  // Définit la carte utilisée pour les prochains prélèvements
+  async setDefaultPaymentMethod(userId, paymentMethodId) {
+    const subscription = await this.getBillingSubscription(userId);
+    const { stripeCustomerId } = subscription;
+
+    const paymentMethod = await this.getOwnedPaymentMethod(
+      stripeCustomerId,
+      paymentMethodId
+    );
+
+    // Un moyen de paiement défini sur l'abonnement prime sur celui du client
+    await stripeProvider().setDefaultPaymentMethod(
+      stripeCustomerId,
+      paymentMethod.id,
+      BILLED_STATUSES.includes(subscription.status) ? subscription : null
+    );
+
+    logger.info("[💳] Carte par défaut mise à jour", {
+      userId,
+      paymentMethodId: paymentMethod.id,
+    });
+    return toCardJSON(paymentMethod, paymentMethod.id);
+  },
+
+  // Supprime une carte enregistrée
+  async removePaymentMethod(userId, paymentMethodId) {
+    const subscription = await this.getBillingSubscription(userId);
+    const { stripeCustomerId, stripeSubscriptionId } = subscription;
+    const provider = stripeProvider();
+
+    const paymentMethod = await this.getOwnedPaymentMethod(
+      stripeCustomerId,
+      paymentMethodId
+    );
+    const defaultPaymentMethodId = await provider.getDefaultPaymentMethodId(
+      stripeCustomerId
+    );
+
+    // Carte prélevée par l'abonnement en cours : celle de l'abonnement, sinon celle du client
+    const isBilled = BILLED_STATUSES.includes(subscription.status);
+    const subscriptionPaymentMethodId =
+      isBilled && stripeSubscriptionId
+        ? await provider.getSubscriptionPaymentMethodId(subscription)
+        : null;
+
+    if (
+      isBilled &&
+      [defaultPaymentMethodId, subscriptionPaymentMethodId].includes(paymentMethod.id)
+    ) {
+      throw paymentMethodError(
+        "Définissez une autre carte par défaut avant de supprimer celle-ci.",
+        409
+      );
+    }
+
+    await provider.detachPaymentMethod(paymentMethod.id);
+
+    logger.info("[🗑️] Carte supprimée", {
+      userId,
+      paymentMethodId: paymentMethod.id,
+    });
+    return toCardJSON(paymentMethod, defaultPaymentMethodId);
+  },
+};
+
+module.exports = PaymentMethodService;
@@ -0,0 +1,95 @@
+const Payment = require("../models/Payment");
+const Subscription = require("../models/Subscription");
+const { logger } = require("../utils/logger");
+const mongoose = require("mongoose");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const PaymentService = {
+
+  // Enregistre (ou complète) une ligne du registre des paiements
+  async record(entry) {
+    if (!entry.userId) {
+      logger.warn("[⚠️] Paiement non enregistré : userId manquant", {
+        reference: entry.reference,
+        type: entry.type,
+      });
+      return null;
+    }
+
+    const userId =
+      typeof entry.userId === "string"
+        ? new mongoose.Types.ObjectId(entry.userId)
+        : entry.userId;
+
+    let subscriptionId = entry.subscriptionId;
+    if (!subscriptionId) {
+      const subscription = await Subscription.findOne({ userId }, { _id: 1 });
+      subscriptionId = subscription?._id;
+    }
+
+    // Les champs non renseignés ne doivent pas écraser les valeurs existantes
+    const fields = Object.fromEntries(
+      Object.entries({ ...entry, userId, subscriptionId }).filter(
+        ([, value]) => value !== undefined && value !== null
+      )
+    );
+
+    const payment = await Payment.findOneAndUpdate(
+      { reference: entry.reference },
+      { $set: fields },
+      { upsert: true, new: true }
+    );
+
+    logger.info("[🧾] Paiement enregistré dans le registre", {
+      userId,
+      reference: entry.reference,
+      type: payment.type,
+      status: payment.status,
+      amount: payment.amount,
+    });
+
+    return payment;
+  },
+
+  // Met à jour le statut d'une ligne de remboursement
+  async updateRefundStatus(refundId, status) {
+    return Payment.findOneAndUpdate(
+      { stripeRefundId: refundId, type: "refund" },
+      { status },
+      { new: true }
+    );
+  },
+
+  // Historique paginé des paiements d'un utilisateur
+  async listForUser(userId, { page = 1, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const currentPage = Math.max(1, parseInt(page, 10) || 1);
+    const pageSize = Math.min(
+      MAX_PAGE_SIZE,
+      Math.max(1, parseInt(limit, 10) || DEFAULT_PAGE_SIZE)
+    );
+
+    const filter = { userId: new mongoose.Types.ObjectId(userId) };
+
+    const [payments, total] = await Promise.all([
+      Payment.find(filter)
+        .sort({ occurredAt: -1 })
+        .skip((currentPage - 1) * pageSize)
+        .limit(pageSize),
+      Payment.countDocuments(filter),
+    ]);
+
+    return {
+      payments,
+      pagination: {
+        page: currentPage,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize),
+      },
+    };
+  },
+};
+
+module.exports = PaymentService;
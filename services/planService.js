@@ -0,0 +1,395 @@
+const Plan = require("../models/Plan");
+const Subscription = require("../models/Subscription");
+const EntitlementService = require("./entitlementService");
+const PaymentProviders = require("../providers");
+const { logger } = require("../utils/logger");
+const mongoose = require("mongoose");
+
+// Statuts pour lesquels un abonnement utilise encore son plan
+const LIVE_SUBSCRIPTION_STATUSES = [
+  "active",
+  "trialing",
+  "canceling",
+  "suspended",
+  "incomplete",
+  "paused",
+];
+
+// Champs modifiables sans créer de nouveau prix Stripe
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "refundWindowDays",
+  "trialDays",
+  "entitlements",
+  "sortOrder",
+  "paypalPlanId",
+];
+
+// Produits et prix du catalogue (résolu à chaque appel, cf. registerProvider)
+const stripeProvider = () => PaymentProviders.getProvider("stripe");
+
+function planError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Valide un plan avant toute création dans Stripe
+async function validatePlan(plan) {
+  try {
+    await plan.validate();
+  } catch (error) {
+    if (!(error instanceof mongoose.Error.ValidationError)) throw error;
+    const details = Object.values(error.errors).map((fieldError) => fieldError.message);
+    throw planError(`Plan invalide : ${details.join(", ")}`, 400);
+  }
+}
+
+// Retire de la vente les objets Stripe d'un plan qui n'a pas pu être enregistré
+async function archiveStripeObjects({ productId, priceId }) {
+  try {
+    if (priceId) await stripeProvider().deactivatePrice(priceId);
+    if (productId) await stripeProvider().updateProduct(productId, { active: false });
+  } catch (stripeError) {
+    logger.error("[❌] Objets Stripe orphelins non archivés", {
+      productId,
+      priceId,
+      error: stripeError.message,
+    });
+  }
+}
+
+// Plans créés au premier démarrage à partir des anciennes variables d'environnement
+const DEFAULT_PLANS = [
+  {
+    code: "monthly",
+    name: "Premium mensuel",
+    priceEnv: "STRIPE_PRICE_MONTHLY_ID",
+    amount: 9.99,
+    interval: "month",
+    sortOrder: 1,
+  },
+  {
+    code: "annual",
+    name: "Premium annuel",
+    priceEnv: "STRIPE_PRICE_ANNUAL_ID",
+    amount: 99.99,
+    interval: "year",
+    sortOrder: 2,
+  },
+];
+
+const PlanService = {
+
+  // Initialise le catalogue s'il est vide
+  async ensureDefaultPlans() {
+    const count = await Plan.countDocuments();
+    if (count > 0) return;
+
+    logger.info("[🏷️] Catalogue de plans vide, création des plans par défaut");
+
+    for (const { priceEnv, ...plan } of DEFAULT_PLANS) {
+      await Plan.create({
+        ...plan,
+        stripePriceId: process.env[priceEnv],
+        currency: "eur",
+        refundWindowDays: 7,
+        entitlements: { features: ["premium"], quotas: {} },
+      });
+    }
+  },
+
+  // Liste des plans proposés à la souscription
+  async listActivePlans() {
+    return Plan.find({ isActive: true }).sort({ sortOrder: 1, amount: 1 });
+  },
+
+  // Récupère un plan par son code
+  async getPlanByCode(code, { activeOnly = true } = {}) {
+    if (!code || typeof code !== "string") return null;
+
+    const filter = { code: code.toLowerCase() };
+    if (activeOnly) filter.isActive = true;
+
+    return Plan.findOne(filter);
+  },
+
+  // Récupère un plan à partir d'un ID de prix Stripe (prix actuel ou ancien prix)
+  async getPlanByStripePrice(priceId) {
+    if (!priceId) return null;
+    return Plan.findOne({
+      $or: [{ stripePriceId: priceId }, { legacyStripePriceIds: priceId }],
+    });
+  },
+
+  // Récupère un plan à partir d'un ID de plan PayPal
+  async getPlanByPayPalPlan(paypalPlanId) {
+    if (!paypalPlanId) return null;
+    return Plan.findOne({ paypalPlanId });
+  },
+
+  // Liste complète du catalogue (y compris plans archivés)
+  async listAllPlans() {
+    return Plan.find().sort({ sortOrder: 1, amount: 1 });
+  },
+
+  // Crée un plan avec son produit et son prix Stripe
+  async createPlan(data) {
+    const code = data.code?.toLowerCase().trim();
+    if (!code || !data.name || data.amount === undefined) {
+      throw planError("Les champs code, name et amount sont requis.", 400);
+    }
+
+    if (await Plan.exists({ code })) {
+      throw planError(`Le plan ${code} existe déjà.`, 409);
+    }
+
+    const plan = new Plan({
+      code,
+      name: data.name,
+      description: data.description,
+      amount: data.amount,
+      currency: (data.currency || "eur").toLowerCase(),
+      interval: data.interval || "month",
+      intervalCount: data.intervalCount || 1,
+      refundWindowDays: data.refundWindowDays,
+      trialDays: data.trialDays,
+      entitlements: data.entitlements,
+      sortOrder: data.sortOrder,
+      paypalPlanId: data.paypalPlanId,
+    });
+    await validatePlan(plan);
+
+    logger.info("[🏷️] Création du plan dans Stripe", { code, interval: plan.interval });
+
+    const product = await stripeProvider().createProduct({
+      name: plan.name,
+      description: plan.description,
+      planCode: code,
+    });
+
+    let price;
+    try {
+      price = await stripeProvider().createPrice({
+        productId: product.id,
+        amount: plan.amount,
+        currency: plan.currency,
+        interval: plan.interval,
+        intervalCount: plan.intervalCount,
+        planCode: code,
+      });
+
+      plan.stripeProductId = product.id;
+      plan.stripePriceId = price.id;
+      await plan.save();
+    } catch (error) {
+      await archiveStripeObjects({ productId: product.id, priceId: price?.id });
+      if (error.code === 11000) throw planError(`Le plan ${code} existe déjà.`, 409);
+      throw error;
+    }
+
+    logger.info("[✅] Plan créé", { code, stripePriceId: price.id });
+    return plan;
+  },
+
+  // Met à jour les informations descriptives d'un plan
+  async updatePlan(code, data) {
+    const plan = await this.getPlanByCode(code, { activeOnly: false });
+    if (!plan) throw planError("Plan introuvable.", 404);
+
+    for (const field of EDITABLE_FIELDS) {
+      if (data[field] !== undefined) plan[field] = data[field];
+    }
+    await validatePlan(plan);
+    await plan.save();
+
+    // Fonctionnalités et quotas modifiés pour tous les abonnés du plan
+    if (data.entitlements !== undefined) EntitlementService.invalidate();
+
+    if (plan.stripeProductId && (data.name || data.description !== undefined)) {
+      await stripeProvider().updateProduct(plan.stripeProductId, {
+        name: plan.name,
+        description: plan.description,
+      });
+    }
+
+    logger.info("[✏️] Plan mis à jour", { code: plan.code });
+    return plan;
+  },
+
+  // Complète le produit Stripe d'un plan initialisé depuis l'environnement
+  async ensureStripeProductId(plan) {
+    if (!plan.stripeProductId && plan.stripePriceId) {
+      plan.stripeProductId = await stripeProvider().getPriceProductId(
+        plan.stripePriceId
+      );
+      await plan.save();
+    }
+    return plan.stripeProductId;
+  },
+
+  // Change le prix d'un plan : nouveau prix Stripe, l'ancien reste reconnu
+  async repricePlan(code, { amount, currency, interval, intervalCount }) {
+    const plan = await this.getPlanByCode(code, { activeOnly: false });
+    if (!plan) throw planError("Plan introuvable.", 404);
+    if (amount === undefined || amount < 0) {
+      throw planError("Un montant valide est requis.", 400);
+    }
+    await this.ensureStripeProductId(plan);
+    if (!plan.stripeProductId) {
+      throw planError("Ce plan n'a pas de produit Stripe associé.", 400);
+    }
+
+    const previousPriceId = plan.stripePriceId;
+    plan.amount = amount;
+    plan.currency = (currency || plan.currency).toLowerCase();
+    plan.interval = interval || plan.interval;
+    plan.intervalCount = intervalCount || plan.intervalCount;
+    await validatePlan(plan);
+
+    const price = await stripeProvider().createPrice({
+      productId: plan.stripeProductId,
+      amount: plan.amount,
+      currency: plan.currency,
+      interval: plan.interval,
+      intervalCount: plan.intervalCount,
+      planCode: plan.code,
+    });
+
+    plan.stripePriceId = price.id;
+    if (previousPriceId) plan.legacyStripePriceIds.addToSet(previousPriceId);
+    try {
+      await plan.save();
+    } catch (error) {
+      await archiveStripeObjects({ priceId: price.id });
+      throw error;
+    }
+
+    // Les abonnés existants conservent l'ancien prix, il n'est plus proposé
+    if (previousPriceId) {
+      try {
+        await stripeProvider().deactivatePrice(previousPriceId);
+      } catch (stripeError) {
+        logger.error("[❌] Ancien prix Stripe non désactivé", {
+          code: plan.code,
+          previousPriceId,
+          error: stripeError.message,
+        });
+      }
+    }
+
+    logger.info("[💶] Plan re-tarifé", {
+      code: plan.code,
+      previousPriceId,
+      stripePriceId: price.id,
+      amount,
+    });
+    return plan;
+  },
+
+  // Archive ou réactive un plan (il n'est plus proposé à la souscription)
+  async setPlanArchived(code, archived) {
+    const plan = await this.getPlanByCode(code, { activeOnly: false });
+    if (!plan) throw planError("Plan introuvable.", 404);
+
+    plan.isActive = !archived;
+    await plan.save();
+
+    if (plan.stripeProductId) {
+      await stripeProvider().updateProduct(plan.stripeProductId, {
+        active: !archived,
+      });
+    }
+
+    logger.info(archived ? "[🗄️] Plan archivé" : "[♻️] Plan réactivé", {
+      code: plan.code,
+    });
+    return plan;
+  },
+
+  // Supprime un plan s'il n'est plus utilisé par aucun abonnement en cours
+  async deletePlan(code) {
+    const plan = await this.getPlanByCode(code, { activeOnly: false });
+    if (!plan) throw planError("Plan introuvable.", 404);
+
+    const liveSubscriptions = await Subscription.countDocuments({
+      plan: plan.code,
+      $or: [{ isActive: true }, { status: { $in: LIVE_SUBSCRIPTION_STATUSES } }],
+    });
+
+    if (liveSubscriptions > 0) {
+      throw planError(
+        `Impossible de supprimer le plan ${plan.code} : ${liveSubscriptions} abonnement(s) l'utilisent encore. Archivez-le plutôt.`,
+        409
+      );
+    }
+
+    if (plan.stripeProductId) {
+      // Un produit avec des prix ne peut pas être supprimé dans Stripe : on l'archive
+      await stripeProvider().updateProduct(plan.stripeProductId, { active: false });
+    }
+
+    await plan.deleteOne();
+    logger.info("[🗑️] Plan supprimé", { code: plan.code });
+    return plan;
+  },
+
+  // Vérifie qu'un code correspond à un plan souscriptible
+  async isValidPlanCode(code) {
+    return !!(await this.getPlanByCode(code));
+  },
+
+  // Date de fin d'une période de facturation démarrant à startDate
+  async calculatePeriodEnd(planCode, startDate = new Date()) {
+    const plan = await this.getPlanByCode(planCode, { activeOnly: false });
+    const endDate = new Date(startDate);
+    const count = plan?.intervalCount || 1;
+
+    switch (plan?.interval) {
+      case "year":
+        endDate.setFullYear(endDate.getFullYear() + count);
+        break;
+      case "week":
+        endDate.setDate(endDate.getDate() + 7 * count);
+        break;
+      case "day":
+        endDate.setDate(endDate.getDate() + count);
+        break;
+      default:
+        endDate.setMonth(endDate.getMonth() + count);
+    }
+
+    return endDate;
+  },
+
+  // Indique si passer du plan fromCode au plan toPlan est une rétrogradation
+  // (période plus courte, ou même période à un prix inférieur)
+  async isDowngrade(fromCode, toPlan) {
+    const fromPlan = await this.getPlanByCode(fromCode, { activeOnly: false });
+    if (!fromPlan) return false;
+
+    const fromMonths = this.getMonthsPerPeriod(fromPlan);
+    const toMonths = this.getMonthsPerPeriod(toPlan);
+
+    if (toMonths !== fromMonths) return toMonths < fromMonths;
+    return toPlan.amount < fromPlan.amount;
+  },
+
+  // Nombre de mois couverts par une période de facturation du plan
+  getMonthsPerPeriod(plan) {
+    const count = plan.intervalCount || 1;
+    switch (plan.interval) {
+      case "year":
+        return 12 * count;
+      case "week":
+        return (7 * count) / 30;
+      case "day":
+        return count / 30;
+      default:
+        return count;
+    }
+  },
+};
+
+module.exports = PlanService;
@@ -0,0 +1,188 @@
+const PromoCode = require("../models/PromoCode");
+const PlanService = require("./planService");
+const PaymentProviders = require("../providers");
+const { logger } = require("../utils/logger");
+
+const DURATIONS = ["once", "repeating", "forever"];
+
+function promoError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+const toNumberOrNull = (value) =>
+  value === undefined || value === null ? null : Number(value);
+
+// Retire de la vente la remise d'un code promo qui n'a pas pu être enregistré
+async function archiveStripePromotion({ couponId, promotionCodeId }) {
+  const provider = PaymentProviders.getProvider("stripe");
+  try {
+    await provider.deactivatePromotionCode(promotionCodeId);
+    await provider.deleteCoupon(couponId);
+  } catch (stripeError) {
+    logger.error("[❌] Code promo Stripe orphelin non désactivé", {
+      couponId,
+      promotionCodeId,
+      error: stripeError.message,
+    });
+  }
+}
+
+const PromoCodeService = {
+
+  // Crée un coupon et son code promotionnel, dans Stripe puis en base
+  async createPromoCode(data, adminId) {
+    const code = data.code?.toUpperCase().trim();
+    const percentOff = toNumberOrNull(data.percentOff);
+    const amountOff = toNumberOrNull(data.amountOff);
+    const duration = data.duration || "once";
+
+    if (!code) throw promoError("Le code est requis.", 400);
+    if ((percentOff === null) === (amountOff === null)) {
+      throw promoError("Indiquez soit percentOff, soit amountOff.", 400);
+    }
+    if (percentOff !== null && !(percentOff > 0 && percentOff <= 100)) {
+      throw promoError("percentOff doit être supérieur à 0 et au plus 100.", 400);
+    }
+    if (amountOff !== null && !(amountOff > 0 && Number.isFinite(amountOff))) {
+      throw promoError("amountOff doit être un montant positif.", 400);
+    }
+    if (!DURATIONS.includes(duration)) {
+      throw promoError(`duration doit valoir ${DURATIONS.join(", ")}.`, 400);
+    }
+    if (duration === "repeating" && !data.durationInMonths) {
+      throw promoError("durationInMonths est requis pour une durée 'repeating'.", 400);
+    }
+    if (await PromoCode.exists({ code })) {
+      throw promoError(`Le code ${code} existe déjà.`, 409);
+    }
+
+    // Restriction aux produits Stripe des plans ciblés
+    const appliesToPlans = (data.appliesToPlans || []).map((p) => p.toLowerCase());
+    const productIds = [];
+    for (const planCode of appliesToPlans) {
+      const plan = await PlanService.getPlanByCode(planCode, { activeOnly: false });
+      if (!plan) throw promoError(`Plan ${planCode} introuvable.`, 400);
+      const productId = await PlanService.ensureStripeProductId(plan);
+      if (productId) productIds.push(productId);
+    }
+
+    const expiresAt = data.expiresAt ? new Date(data.expiresAt) : null;
+    if (expiresAt && (isNaN(expiresAt.getTime()) || expiresAt <= new Date())) {
+      throw promoError("expiresAt doit être une date future valide.", 400);
+    }
+    const currency = amountOff !== null ? (data.currency || "eur").toLowerCase() : null;
+
+    logger.info("[🎟️] Création du coupon Stripe", { code, percentOff, amountOff });
+
+    const { couponId, promotionCodeId } = await PaymentProviders.getProvider(
+      "stripe"
+    ).createPromotionCode({
+      code,
+      name: data.description,
+      percentOff,
+      amountOff,
+      currency,
+      duration,
+      durationInMonths: data.durationInMonths,
+      productIds,
+      maxRedemptions: data.maxRedemptions,
+      expiresAt,
+    });
+
+    let promo;
+    try {
+      promo = await PromoCode.create({
+        code,
+        description: data.description,
+        stripeCouponId: couponId,
+        stripePromotionCodeId: promotionCodeId,
+        percentOff,
+        amountOff,
+        currency,
+        duration,
+        durationInMonths: duration === "repeating" ? data.durationInMonths : null,
+        maxRedemptions: data.maxRedemptions || null,
+        expiresAt,
+        appliesToPlans,
+        createdBy: adminId,
+      });
+    } catch (error) {
+      await archiveStripePromotion({ couponId, promotionCodeId });
+      if (error.code === 11000) throw promoError(`Le code ${code} existe déjà.`, 409);
+      if (error.name === "ValidationError") throw promoError(error.message, 400);
+      throw error;
+    }
+
+    logger.info("[✅] Code promo créé", {
+      code,
+      stripePromotionCodeId: promotionCodeId,
+    });
+    return promo;
+  },
+
+  // Liste des codes promo
+  async listPromoCodes() {
+    return PromoCode.find().sort({ createdAt: -1 });
+  },
+
+  // Désactive un code promo (les remises déjà appliquées restent valables)
+  async deactivatePromoCode(code) {
+    const promo = await PromoCode.findOne({ code: code.toUpperCase() });
+    if (!promo) throw promoError("Code promo introuvable.", 404);
+
+    await PaymentProviders.getProvider("stripe").deactivatePromotionCode(
+      promo.stripePromotionCodeId
+    );
+
+    promo.isActive = false;
+    await promo.save();
+
+    logger.info("[🗄️] Code promo désactivé", { code: promo.code });
+    return promo;
+  },
+
+  // Vérifie qu'un code saisi au checkout est applicable au plan choisi
+  async resolveForCheckout(code, planCode) {
+    const promo = await PromoCode.findOne({ code: code.toUpperCase().trim() });
+
+    if (!promo || !promo.isUsable(planCode)) {
+      throw promoError("Code promo invalide ou expiré pour ce plan.", 400);
+    }
+
+    return promo;
+  },
+
+  // Décrit une remise Stripe (abonnement ou facture) pour l'enregistrer localement
+  async describeDiscount(stripeDiscount) {
+    if (!stripeDiscount?.coupon) return null;
+
+    const coupon = stripeDiscount.coupon;
+    const promotionCodeId =
+      typeof stripeDiscount.promotion_code === "string"
+        ? stripeDiscount.promotion_code
+        : stripeDiscount.promotion_code?.id;
+
+    const promo = await PromoCode.findOne(
+      promotionCodeId
+        ? { stripePromotionCodeId: promotionCodeId }
+        : { stripeCouponId: coupon.id }
+    );
+
+    return {
+      code: promo?.code || coupon.name || coupon.id,
+      stripeCouponId: coupon.id,
+      stripePromotionCodeId: promotionCodeId || null,
+      percentOff: coupon.percent_off ?? null,
+      amountOff: coupon.amount_off ? coupon.amount_off / 100 : null,
+      currency: coupon.currency || null,
+      duration: coupon.duration,
+      durationInMonths: coupon.duration_in_months ?? null,
+      startDate: stripeDiscount.start ? new Date(stripeDiscount.start * 1000) : null,
+      endDate: stripeDiscount.end ? new Date(stripeDiscount.end * 1000) : null,
+    };
+  },
+};
+
+module.exports = PromoCodeService;
@@ -0,0 +1,189 @@
+const Payment = require("../models/Payment");
+const Subscription = require("../models/Subscription");
+const Plan = require("../models/Plan");
+const PlanService = require("./planService");
+const SubscriptionStateMachine = require("./subscriptionStateMachine");
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Période couverte par défaut : 30 derniers jours
+const DEFAULT_PERIOD_DAYS = 30;
+
+// États facturés pris en compte dans le revenu récurrent mensuel
+const RECURRING_STATES = ["active", "canceling"];
+
+function reportError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+function parsePeriod({ from, to }) {
+  const end = to ? new Date(to) : new Date();
+  const start = from
+    ? new Date(from)
+    : new Date(end.getTime() - DEFAULT_PERIOD_DAYS * DAY_MS);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || start >= end) {
+    throw reportError("Période invalide : from doit précéder to.", 400);
+  }
+  return { start, end };
+}
+
+const ReportService = {
+
+  // Rapport de revenus : encaissements de la période, revenu récurrent des abonnements payés
+  // et accès offerts (paymentMethod "manual"), comptés à part car ils ne génèrent aucun revenu
+  async getRevenueReport({ from, to } = {}) {
+    const { start, end } = parsePeriod({ from, to });
+
+    const [cashflow, recurring, complimentary] = await Promise.all([
+      this.getCashflow(start, end),
+      this.getRecurringRevenue(),
+      this.getComplimentarySummary(),
+    ]);
+
+    return {
+      period: { from: start, to: end },
+      cashflow,
+      recurring,
+      complimentary,
+      generatedAt: new Date(),
+    };
+  },
+
+  // Paiements et remboursements confirmés de la période, par devise
+  // (les remboursements pas encore confirmés par le fournisseur sont comptés à part)
+  async getCashflow(start, end) {
+    const rows = await Payment.aggregate([
+      {
+        $match: {
+          occurredAt: { $gte: start, $lt: end },
+          type: { $in: ["payment", "refund"] },
+          status: { $ne: "failed" },
+        },
+      },
+      {
+        $group: {
+          _id: {
+            currency: "$currency",
+            type: "$type",
+            provider: "$provider",
+            status: "$status",
+          },
+          amount: { $sum: "$amount" },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+
+    const byCurrency = {};
+    for (const { _id, amount, count } of rows) {
+      const totals = (byCurrency[_id.currency] ||= {
+        gross: 0,
+        refunded: 0,
+        net: 0,
+        payments: 0,
+        refunds: 0,
+        pendingRefunded: 0,
+        pendingRefunds: 0,
+        byProvider: {},
+      });
+
+      if (_id.status !== "succeeded") {
+        if (_id.type === "refund") {
+          totals.pendingRefunded += amount;
+          totals.pendingRefunds += count;
+        }
+        continue;
+      }
+
+      if (_id.type === "payment") {
+        totals.gross += amount;
+        totals.payments += count;
+      } else {
+        totals.refunded += amount;
+        totals.refunds += count;
+      }
+      totals.byProvider[_id.provider] = round(
+        (totals.byProvider[_id.provider] || 0) +
+          (_id.type === "payment" ? amount : -amount)
+      );
+    }
+
+    for (const totals of Object.values(byCurrency)) {
+      totals.gross = round(totals.gross);
+      totals.refunded = round(totals.refunded);
+      totals.pendingRefunded = round(totals.pendingRefunded);
+      totals.net = round(totals.gross - totals.refunded);
+    }
+
+    return byCurrency;
+  },
+
+  // Revenu récurrent mensuel estimé des abonnements payés, par devise et par plan
+  async getRecurringRevenue() {
+    const rows = await Subscription.aggregate([
+      {
+        $match: {
+          status: { $in: RECURRING_STATES },
+          paymentMethod: { $ne: "manual" },
+        },
+      },
+      { $group: { _id: "$plan", subscribers: { $sum: 1 } } },
+    ]);
+
+    const plans = await Plan.find({ code: { $in: rows.map((row) => row._id) } });
+    const plansByCode = new Map(plans.map((plan) => [plan.code, plan]));
+
+    const mrr = {};
+    const byPlan = rows.map(({ _id: code, subscribers }) => {
+      const plan = plansByCode.get(code);
+      const monthly = plan ? plan.amount / PlanService.getMonthsPerPeriod(plan) : 0;
+      const currency = plan?.currency || "eur";
+      mrr[currency] = round((mrr[currency] || 0) + monthly * subscribers);
+
+      return {
+        plan: code,
+        subscribers,
+        currency,
+        mrr: round(monthly * subscribers),
+      };
+    });
+
+    return {
+      subscribers: rows.reduce((sum, row) => sum + row.subscribers, 0),
+      mrr,
+      byPlan,
+    };
+  },
+
+  // Accès premium offerts en cours (sans revenu)
+  async getComplimentarySummary() {
+    const grants = await Subscription.find(
+      {
+        paymentMethod: "manual",
+        status: { $in: SubscriptionStateMachine.ACCESS_STATES },
+      },
+      { plan: 1, endDate: 1, "grant.category": 1 }
+    ).lean();
+
+    const byCategory = {};
+    const byPlan = {};
+    for (const grant of grants) {
+      const category = grant.grant?.category || "other";
+      byCategory[category] = (byCategory[category] || 0) + 1;
+      byPlan[grant.plan] = (byPlan[grant.plan] || 0) + 1;
+    }
+
+    return {
+      active: grants.length,
+      unlimited: grants.filter((grant) => !grant.endDate).length,
+      byCategory,
+      byPlan,
+    };
+  },
+};
+
+module.exports = ReportService;
@@ -0,0 +1,115 @@
+const SubscriptionEvent = require("../models/SubscriptionEvent");
+const AuditContext = require("../utils/auditContext");
+const mongoose = require("mongoose");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Champs dont les changements sont historisés
+const TRACKED_FIELDS = [
+  "plan",
+  "status",
+  "isActive",
+  "cancelationType",
+  "startDate",
+  "endDate",
+  "paymentMethod",
+  "paymentStatus",
+  "stripeSubscriptionId",
+  "stripePriceId",
+  "paypalSubscriptionId",
+  "refundStatus",
+  "refundAmount",
+  "refundReason",
+  "discount",
+  "trialEndDate",
+  "pause",
+  "pendingPlanChange",
+  "grant",
+];
+
+const serialize = (value) =>
+  value === undefined ? null : JSON.parse(JSON.stringify(value));
+
+const SubscriptionHistoryService = {
+
+  // Enregistre la différence entre deux états d'un abonnement
+  async recordChange(before, after, { session = null } = {}) {
+    if (!after) return null;
+
+    const changedFields = TRACKED_FIELDS.filter(
+      (field) =>
+        JSON.stringify(serialize(before?.[field])) !==
+        JSON.stringify(serialize(after[field]))
+    );
+    if (before && changedFields.length === 0) return null;
+
+    const type = !before
+      ? "created"
+      : changedFields.includes("status")
+      ? "status_changed"
+      : changedFields.includes("plan")
+      ? "plan_changed"
+      : "updated";
+
+    const pick = (doc) =>
+      doc
+        ? Object.fromEntries(
+            changedFields.map((field) => [field, serialize(doc[field])])
+          )
+        : null;
+
+    const context = AuditContext.get();
+
+    const entry = {
+      userId: after.userId,
+      subscriptionId: after._id,
+      type,
+      changedFields,
+      before: pick(before),
+      after: pick(after),
+      source: context.source,
+      sourceRef: context.sourceRef,
+      eventId: context.eventId,
+      actorId: mongoose.isValidObjectId(context.actorId)
+        ? context.actorId
+        : undefined,
+      actorRole: context.actorRole,
+    };
+
+    // Même transaction que l'abonnement : un échec de l'historique annule la mise à jour
+    const [event] = await SubscriptionEvent.create([entry], { session });
+    return event;
+  },
+
+  // Historique paginé des changements d'abonnement d'un utilisateur
+  async listForUser(userId, { page = 1, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const currentPage = Math.max(1, parseInt(page, 10) || 1);
+    const pageSize = Math.min(
+      MAX_PAGE_SIZE,
+      Math.max(1, parseInt(limit, 10) || DEFAULT_PAGE_SIZE)
+    );
+
+    const filter = { userId: new mongoose.Types.ObjectId(userId) };
+
+    const [events, total] = await Promise.all([
+      SubscriptionEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((currentPage - 1) * pageSize)
+        .limit(pageSize),
+      SubscriptionEvent.countDocuments(filter),
+    ]);
+
+    return {
+      events,
+      pagination: {
+        page: currentPage,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize),
+      },
+    };
+  },
+};
+
+module.exports = SubscriptionHistoryService;
@@ -1,9 +1,33 @@
 const Subscription = require("../models/Subscription");
 const User = require("../models/User");
+const PaymentService = require("./paymentService");
+const PlanService = require("./planService");
+const NotificationService = require("./notificationService");
+const dunningConfig = require("../config/dunningConfig");
+const pauseConfig = require("../config/pauseConfig");
+const SubscriptionStateMachine = require("./subscriptionStateMachine");
+const PaymentProviders = require("../providers");
 const { logger } = require("../utils/logger");
+const { runInTransaction, VersionConflictError } = require("../utils/transaction");
 const mongoose = require("mongoose");
-const Stripe = require("stripe");
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Champs d'état écrits uniquement via SubscriptionStateMachine
+const STATE_FIELDS = ["status", "isActive", "cancelationType"];
+
+// Convertit le statut d'un remboursement Stripe en statut local
+function mapRefundStatus(stripeStatus) {
+  switch (stripeStatus) {
+    case "succeeded":
+      return "processed";
+    case "failed":
+    case "canceled":
+      return "failed";
+    default:
+      return "pending";
+  }
+}
 
 const SubscriptionIntegrationService = {
   
@@ -47,36 +71,43 @@ const SubscriptionIntegrationService = {
       }
     }
 
-    if (data.updateUserRole === true) {
-      logger.info("[👤] Mise à jour du rôle utilisateur demandée", {
-        status: data.status,
-        isActive: data.isActive,
-      });
-
-      if (data.status === "active" && data.isActive) {
-        await User.findByIdAndUpdate(objectId, { role: "premium" });
-        logger.info(`[👤] Rôle mis à jour vers premium pour l'utilisateur`, {
-          userId: objectId,
-        });
-      } else if (data.status === "canceled" && !data.isActive) {
-        await User.findByIdAndUpdate(objectId, { role: "user" });
-        logger.info(`[👤] Rôle mis à jour vers user pour l'utilisateur`, {
-          userId: objectId,
-        });
-      }
-      logger.debug(
-        "[👤] Pas de changement de rôle nécessaire (abonnement canceled mais encore actif)"
+    // L'état, l'accès et le rôle ne changent que par la machine à états
+    const stateFields = STATE_FIELDS.filter((field) => data[field] !== undefined);
+    if (stateFields.length) {
+      throw new Error(
+        `Champs gérés par la machine à états : ${stateFields.join(", ")}`
       );
     }
 
     logger.info("[💾] Mise à jour de l'abonnement en base de données");
-    const updated = await Subscription.findOneAndUpdate(
-      { userId: objectId },
-      {
-        ...data,
-        updatedAt: new Date(),
+    const updated = await runInTransaction(
+      async (session) => {
+        const current = await Subscription.findOne(
+          { userId: objectId },
+          { __v: 1 }
+        ).session(session);
+
+        let result;
+        try {
+          // Écriture conditionnée à la version lue (une mise à jour concurrente relance la transaction)
+          result = await Subscription.findOneAndUpdate(
+            current ? { _id: current._id, __v: current.__v } : { userId: objectId },
+            {
+              ...data,
+              updatedAt: new Date(),
+            },
+            { upsert: !current, new: true, session }
+          );
+        } catch (error) {
+          if (error.code === 11000 && !current) {
+            throw new VersionConflictError("Subscription", objectId);
+          }
+          throw error;
+        }
+        if (!result) throw new VersionConflictError("Subscription", current._id);
+        return result;
       },
-      { upsert: true, new: true }
+      { label: "subscription:update" }
     );
 
     logger.info("[✅] Abonnement mis à jour avec succès", {
@@ -102,6 +133,27 @@ const SubscriptionIntegrationService = {
     });
 
     if (!subscription) {
+      // Client créé au checkout : l'utilisateur est référencé dans ses metadata Stripe
+      try {
+        const customer = await PaymentProviders.getProvider("stripe").getCustomer(
+          customerId
+        );
+        const metadataUserId = !customer.deleted && customer.userId;
+
+        if (metadataUserId && mongoose.isValidObjectId(metadataUserId)) {
+          logger.info("[✅] Utilisateur trouvé via les metadata du client Stripe", {
+            customerId,
+            userId: metadataUserId,
+          });
+          return new mongoose.Types.ObjectId(metadataUserId);
+        }
+      } catch (stripeError) {
+        logger.warn("[⚠️] Client Stripe introuvable", {
+          customerId,
+          error: stripeError.message,
+        });
+      }
+
       logger.warn(`[❌] Aucun abonnement trouvé pour le customerId`, {
         customerId,
       });
@@ -115,6 +167,22 @@ const SubscriptionIntegrationService = {
     return subscription?.userId;
   },
 
+  // Récupère l'ID utilisateur d'un abonnement PayPal (custom_id, sinon abonnement local)
+  async getUserIdFromPayPalSubscription(paypalSubscriptionId, customId) {
+    if (customId && mongoose.isValidObjectId(customId)) {
+      return new mongoose.Types.ObjectId(customId);
+    }
+
+    const subscription = await Subscription.findOne({ paypalSubscriptionId });
+    if (!subscription) {
+      logger.warn("[❌] Aucun abonnement trouvé pour l'abonnement PayPal", {
+        paypalSubscriptionId,
+      });
+      return null;
+    }
+    return subscription.userId;
+  },
+
   // Enregistre un paiement d'abonnement réussi
   async recordSubscriptionPayment(userId, paymentData) {
     logger.info("💰 Enregistrement d'un paiement réussi", {
@@ -122,7 +190,7 @@ const SubscriptionIntegrationService = {
       ...paymentData,
     });
 
-    const result = await Subscription.findOneAndUpdate(
+    const result = await Subscription.auditedUpdate(
       { userId },
       {
         lastPaymentDate: new Date(),
@@ -132,6 +200,27 @@ const SubscriptionIntegrationService = {
       { new: true }
     );
 
+    await PaymentService.record({
+      userId,
+      subscriptionId: result?._id,
+      reference: paymentData.invoiceId || paymentData.transactionId,
+      type: "payment",
+      status: "succeeded",
+      provider: paymentData.provider || "stripe",
+      amount: paymentData.amount,
+      currency: paymentData.currency,
+      plan: result?.plan,
+      billingReason: paymentData.billingReason,
+      stripeInvoiceId: paymentData.invoiceId,
+      stripeChargeId: paymentData.chargeId,
+      stripePaymentIntentId: paymentData.paymentIntentId,
+      stripeSessionId: paymentData.sessionId,
+      invoiceNumber: paymentData.invoiceNumber,
+      invoiceUrl: paymentData.invoiceUrl,
+      invoicePdf: paymentData.invoicePdf,
+      occurredAt: paymentData.paidAt || new Date(),
+    });
+
     logger.info("✅ Paiement enregistré avec succès", {
       userId,
       transactionId: paymentData.transactionId,
@@ -146,7 +235,7 @@ const SubscriptionIntegrationService = {
       ...failureData,
     });
 
-    const result = await Subscription.findOneAndUpdate(
+    const result = await Subscription.auditedUpdate(
       { userId },
       {
         paymentStatus: "failed",
@@ -156,6 +245,28 @@ const SubscriptionIntegrationService = {
       { new: true }
     );
 
+    await PaymentService.record({
+      userId,
+      subscriptionId: result?._id,
+      reference: `failure:${failureData.invoiceId || failureData.transactionId}:${
+        failureData.attemptCount || 1
+      }`,
+      type: "failure",
+      status: "failed",
+      provider: failureData.provider || "stripe",
+      amount: failureData.amount,
+      currency: failureData.currency,
+      plan: result?.plan,
+      failureReason: failureData.failureReason,
+      stripeInvoiceId: failureData.invoiceId,
+      stripePaymentIntentId: failureData.transactionId?.startsWith("pi_")
+        ? failureData.transactionId
+        : undefined,
+      invoiceNumber: failureData.invoiceNumber,
+      invoiceUrl: failureData.invoiceUrl,
+      occurredAt: new Date(),
+    });
+
     logger.warn("💥 Échec de paiement enregistré", {
       userId,
       reason: failureData.failureReason,
@@ -169,26 +280,118 @@ const SubscriptionIntegrationService = {
       priceId,
     });
 
-    let planName;
-    switch (priceId) {
-      case process.env.STRIPE_PRICE_ANNUAL_ID:
-        planName = "annual";
-        break;
-      case process.env.STRIPE_PRICE_MONTHLY_ID:
-        planName = "monthly";
-        break;
-      default:
-        planName = "premium";
-        logger.warn("[⚠️] PriceId non reconnu, plan par défaut appliqué", {
-          priceId,
-          defaultPlan: "premium",
-        });
+    const plan = await PlanService.getPlanByStripePrice(priceId);
+    let planName = plan?.code;
+
+    if (!planName) {
+      planName = "premium";
+      logger.warn("[⚠️] PriceId non reconnu, plan par défaut appliqué", {
+        priceId,
+        defaultPlan: "premium",
+      });
     }
 
     logger.debug("[🏷️] Plan déterminé", { priceId, planName });
     return planName;
   },
 
+  // Indique si l'utilisateur peut encore bénéficier d'un essai gratuit
+  async isTrialEligible(userId) {
+    const subscription = await Subscription.findOne(
+      { userId: new mongoose.Types.ObjectId(userId) },
+      { trialUsedAt: 1 }
+    );
+    return !subscription?.trialUsedAt;
+  },
+
+  // Vérifie qu'aucun abonnement en cours n'empêche une nouvelle souscription
+  async assertCanSubscribe(userId) {
+    const subscription = await Subscription.findOne({
+      userId: new mongoose.Types.ObjectId(userId),
+    });
+    if (!subscription) return;
+
+    let conflict = null;
+    if (subscription.status === "canceling") {
+      conflict = {
+        action: "reactivate",
+        message:
+          "Votre abonnement est programmé pour annulation. Réactivez-le plutôt que d'en souscrire un nouveau.",
+      };
+    } else if (subscription.status === "suspended") {
+      conflict = {
+        action: "update_payment_method",
+        message:
+          "Votre abonnement est suspendu pour défaut de paiement. Mettez à jour votre carte pour le rétablir.",
+      };
+    } else if (["active", "trialing", "paused"].includes(subscription.status)) {
+      conflict = {
+        action: "manage",
+        message:
+          "Vous avez déjà un abonnement en cours. Changez de plan depuis la gestion de votre abonnement.",
+      };
+    }
+
+    if (conflict) {
+      logger.warn("[⛔] Souscription refusée : abonnement existant", {
+        userId,
+        status: subscription.status,
+        action: conflict.action,
+      });
+      const error = new Error(conflict.message);
+      error.statusCode = 409;
+      error.action = conflict.action;
+      error.subscription = subscription;
+      throw error;
+    }
+  },
+
+  // Récupère (ou crée) l'unique client Stripe d'un utilisateur
+  async getOrCreateStripeCustomer(userId, email) {
+    const objectId = new mongoose.Types.ObjectId(userId);
+    const subscription = await Subscription.findOne({ userId: objectId });
+
+    const provider = PaymentProviders.getProvider("stripe");
+
+    if (subscription?.stripeCustomerId) {
+      try {
+        const customer = await provider.getCustomer(subscription.stripeCustomerId);
+        if (!customer.deleted) return customer.id;
+      } catch (stripeError) {
+        logger.warn("[⚠️] Client Stripe enregistré introuvable, recréation", {
+          userId,
+          stripeCustomerId: subscription.stripeCustomerId,
+          error: stripeError.message,
+        });
+      }
+    }
+
+    const customer = await provider.createCustomer({
+      userId,
+      email,
+      replaces: subscription?.stripeCustomerId,
+    });
+
+    // Document provisoire sans accès : il porte le client jusqu'au premier webhook
+    await Subscription.auditedUpdate(
+      { userId: objectId },
+      {
+        $set: { stripeCustomerId: customer.id, updatedAt: new Date() },
+        $setOnInsert: {
+          status: SubscriptionStateMachine.INITIAL_STATE,
+          isActive: false,
+        },
+      },
+      { upsert: true, new: true }
+    );
+
+    logger.info("[👤] Client Stripe créé et rattaché à l'utilisateur", {
+      userId,
+      stripeCustomerId: customer.id,
+    });
+    return customer.id;
+  },
+
   // Récupère l'abonnement actuel d'un utilisateur
   async getCurrentSubscription(userId) {
     logger.info("[🔍] Récupération de l'abonnement actuel", { userId });
@@ -204,6 +407,14 @@ const SubscriptionIntegrationService = {
       return null;
     }
 
+    // Client Stripe créé (checkout commencé) sans abonnement : rien à exposer
+    if (subscription.isProvisional()) {
+      logger.info("[ℹ️] Abonnement provisoire ignoré (client Stripe seul)", {
+        userId,
+      });
+      return null;
+    }
+
     if (subscription.endDate) {
       const now = new Date();
       const endDate = new Date(subscription.endDate);
@@ -236,8 +447,7 @@ const SubscriptionIntegrationService = {
 
     let subscription = await Subscription.findOne({
       userId,
-      status: "active",
-      isActive: true,
+      status: { $in: ["active", "trialing"] },
     });
 
     logger.debug("[🔍] Recherche d'abonnement actif", {
@@ -247,16 +457,13 @@ const SubscriptionIntegrationService = {
     if (!subscription) {
       subscription = await Subscription.findOne({
         userId,
-        status: "canceled",
-        isActive: true,
-        cancelationType: { $ne: "immediate" },
+        status: "canceling",
       });
 
       if (subscription) {
         logger.info(`[ℹ️] Abonnement déjà programmé pour annulation trouvé`, {
           userId,
           status: subscription.status,
-          cancelationType: subscription.cancelationType,
           endDate: subscription.endDate,
         });
 
@@ -276,7 +483,6 @@ const SubscriptionIntegrationService = {
       const expiredSub = await Subscription.findOne({
         userId,
         status: "canceled",
-        isActive: false,
       });
 
       if (expiredSub) {
@@ -289,6 +495,14 @@ const SubscriptionIntegrationService = {
       throw new Error("Aucun abonnement à annuler trouvé.");
     }
 
+    if (subscription.paymentMethod === "manual") {
+      const error = new Error(
+        "Cet accès premium est offert : il ne se résilie pas et peut uniquement être révoqué par un administrateur."
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+
     logger.info(`[🔚] Début annulation END OF PERIOD pour l'utilisateur`, {
       userId,
       stripeSubscriptionId: subscription.stripeSubscriptionId,
@@ -296,72 +510,32 @@ const SubscriptionIntegrationService = {
       currentStatus: subscription.status,
     });
 
+    // Un planning Stripe empêche l'annulation en fin de période : on le libère
+    if (subscription.pendingPlanChange) {
+      await this.cancelPendingPlanChange(userId);
+    }
+
     let endDate = subscription.endDate;
+    const provider = PaymentProviders.forSubscription(subscription);
+    const providerSubscriptionId = provider?.getSubscriptionId(subscription);
 
-    if (subscription.stripeSubscriptionId) {
+    if (providerSubscriptionId) {
       try {
-        logger.info(`[📞] Programmation annulation Stripe en cours`, {
-          stripeSubscriptionId: subscription.stripeSubscriptionId,
-        });
-
-        const currentStripeSubscription = await stripe.subscriptions.retrieve(
-          subscription.stripeSubscriptionId
-        );
-
-        logger.debug("[🔍] État actuel de l'abonnement Stripe", {
-          id: currentStripeSubscription.id,
-          cancel_at_period_end: currentStripeSubscription.cancel_at_period_end,
-          current_period_end: currentStripeSubscription.current_period_end,
+        logger.info(`[📞] Programmation annulation ${provider.label} en cours`, {
+          providerSubscriptionId,
         });
 
-        if (currentStripeSubscription.cancel_at_period_end === true) {
-          logger.info(
-            `[ℹ️] Abonnement déjà programmé pour annulation dans Stripe`
-          );
-
-          if (currentStripeSubscription.current_period_end) {
-            endDate = new Date(
-              currentStripeSubscription.current_period_end * 1000
-            );
-            logger.info("[📅] Date de fin récupérée depuis Stripe", {
-              endDate,
-            });
-          }
-        } else {
-          logger.info("[📝] Programmation de l'annulation dans Stripe");
-          const updatedStripeSubscription = await stripe.subscriptions.update(
-            subscription.stripeSubscriptionId,
-            {
-              cancel_at_period_end: true,
-              metadata: {
-                canceled_by_user: "true",
-                canceled_at: new Date().toISOString(),
-              },
-            }
-          );
-
-          if (
-            updatedStripeSubscription.current_period_end &&
-            updatedStripeSubscription.current_period_end > 0
-          ) {
-            endDate = new Date(
-              updatedStripeSubscription.current_period_end * 1000
-            );
-            logger.info(
-              `[📅] Date de fin récupérée depuis Stripe après mise à jour`,
-              { endDate }
-            );
-          }
+        const result = await provider.cancelAtPeriodEnd(subscription);
+        if (result.endDate) {
+          endDate = result.endDate;
+          logger.info(`[📅] Date de fin récupérée depuis ${provider.label}`, {
+            endDate,
+          });
         }
 
         if (!endDate || isNaN(endDate.getTime())) {
           logger.warn(`[⚠️] Date de fin invalide, calcul manuel nécessaire`);
-          endDate = new Date();
-          if (subscription.plan === "annual") {
-            endDate.setFullYear(endDate.getFullYear() + 1);
-          } else {
-            endDate.setMonth(endDate.getMonth() + 1);
-          }
+          endDate = await PlanService.calculatePeriodEnd(subscription.plan);
           logger.info(`[📅] Date de fin calculée manuellement`, {
             endDate,
             plan: subscription.plan,
@@ -369,53 +543,43 @@ const SubscriptionIntegrationService = {
         }
 
         logger.info(
-          `[✅] Abonnement Stripe programmé pour annulation avec succès`,
+          `[✅] Abonnement ${provider.label} programmé pour annulation avec succès`,
           {
-            id: subscription.stripeSubscriptionId,
+            id: providerSubscriptionId,
             endDate: endDate,
           }
         );
-      } catch (stripeError) {
+      } catch (providerError) {
         logger.error(
-          `[❌] Erreur lors de la programmation d'annulation Stripe`,
+          `[❌] Erreur lors de la programmation d'annulation ${provider.label}`,
           {
-            message: stripeError.message,
-            type: stripeError.type,
-            code: stripeError.code,
-            stripeSubscriptionId: subscription.stripeSubscriptionId,
+            message: providerError.message,
+            type: providerError.type,
+            code: providerError.code,
+            providerSubscriptionId,
           }
         );
 
-        if (stripeError.code === "resource_missing") {
+        if (providerError.code === "resource_missing") {
           logger.warn(
-            `[⚠️] Abonnement non trouvé dans Stripe, procédure d'annulation locale`
+            `[⚠️] Abonnement non trouvé chez ${provider.label}, procédure d'annulation locale`
           );
-          endDate = new Date();
-          if (subscription.plan === "annual") {
-            endDate.setFullYear(endDate.getFullYear() + 1);
-          } else {
-            endDate.setMonth(endDate.getMonth() + 1);
-          }
+          endDate = await PlanService.calculatePeriodEnd(subscription.plan);
           logger.info("[📅] Date de fin calculée pour annulation locale", {
             endDate,
           });
         } else {
           throw new Error(
-            `Échec programmation annulation Stripe: ${stripeError.message}`
+            `Échec programmation annulation ${provider.label}: ${providerError.message}`
           );
         }
       }
     } else {
       logger.warn(
-        `[⚠️] Pas de stripeSubscriptionId trouvé, annulation locale uniquement`
+        `[⚠️] Pas d'abonnement chez un fournisseur de paiement, annulation locale uniquement`
       );
 
-      endDate = new Date();
-      if (subscription.plan === "annual") {
-        endDate.setFullYear(endDate.getFullYear() + 1);
-      } else {
-        endDate.setMonth(endDate.getMonth() + 1);
-      }
+      endDate = await PlanService.calculatePeriodEnd(subscription.plan);
       logger.info(`[📅] Date de fin calculée pour abonnement local`, {
         endDate,
         plan: subscription.plan,
@@ -431,13 +595,11 @@ const SubscriptionIntegrationService = {
 
     try {
       logger.info("[💾] Mise à jour de la base de données locale");
-      const updatedSubscription = await this.updateSubscription(userId, {
-        status: "canceled",
-        isActive: true,
-        endDate: endDate,
-        cancelationType: "end_of_period",
-        updateUserRole: false,
-      });
+      const updatedSubscription = await SubscriptionStateMachine.apply(
+        userId,
+        "schedule_cancel",
+        { endDate }
+      );
 
       const now = new Date();
       const diffTime = endDate.getTime() - now.getTime();
@@ -458,6 +620,9 @@ const SubscriptionIntegrationService = {
         error: dbError.message,
         userId,
       });
+      if (dbError instanceof SubscriptionStateMachine.InvalidTransitionError) {
+        throw dbError;
+      }
       throw new Error(`Erreur sauvegarde annulation: ${dbError.message}`);
     }
   },
@@ -468,9 +633,7 @@ const SubscriptionIntegrationService = {
 
     const subscription = await Subscription.findOne({
       userId,
-      status: "canceled",
-      isActive: true,
-      cancelationType: "end_of_period",
+      status: "canceling",
     });
 
     if (!subscription) {
@@ -480,52 +643,45 @@ const SubscriptionIntegrationService = {
       throw new Error("Aucun abonnement annulé réactivable trouvé.");
     }
 
+    const provider = PaymentProviders.forSubscription(subscription);
+    const providerSubscriptionId = provider?.getSubscriptionId(subscription);
+
     logger.info(`[🔄] Abonnement réactivable trouvé`, {
       userId,
-      stripeSubscriptionId: subscription.stripeSubscriptionId,
+      providerSubscriptionId,
       plan: subscription.plan,
     });
 
-    if (subscription.stripeSubscriptionId) {
+    if (providerSubscriptionId) {
       try {
-        logger.info("[📞] Réactivation dans Stripe en cours", {
-          stripeSubscriptionId: subscription.stripeSubscriptionId,
+        logger.info(`[📞] Réactivation chez ${provider.label} en cours`, {
+          providerSubscriptionId,
         });
 
-        const reactivatedStripeSubscription = await stripe.subscriptions.update(
-          subscription.stripeSubscriptionId,
-          {
-            cancel_at_period_end: false,
-            metadata: {
-              reactivated_by_user: "true",
-              reactivated_at: new Date().toISOString(),
-            },
-          }
-        );
+        await provider.reactivate(subscription);
 
-        logger.info(`[✅] Abonnement Stripe réactivé avec succès`, {
-          id: reactivatedStripeSubscription.id,
-          cancel_at_period_end:
-            reactivatedStripeSubscription.cancel_at_period_end,
+        logger.info(`[✅] Abonnement ${provider.label} réactivé avec succès`, {
+          id: providerSubscriptionId,
         });
-      } catch (stripeError) {
-        logger.error(`[❌] Erreur lors de la réactivation Stripe`, {
-          error: stripeError.message,
-          stripeSubscriptionId: subscription.stripeSubscriptionId,
+      } catch (providerError) {
+        logger.error(`[❌] Erreur lors de la réactivation ${provider.label}`, {
+          error: providerError.message,
+          providerSubscriptionId,
         });
-        throw new Error(`Échec réactivation Stripe: ${stripeError.message}`);
+        throw new Error(
+          `Échec réactivation ${provider.label}: ${providerError.message}`
+        );
       }
     }
 
     logger.info(
       "[💾] Mise à jour de la base de données locale pour réactivation"
     );
-    const reactivated = await this.updateSubscription(userId, {
-      status: "active",
-      isActive: true,
-      cancelationType: null,
-      updateUserRole: true,
-    });
+    // Une annulation pendant l'essai revient à l'essai s'il n'est pas terminé
+    const reactivated = await SubscriptionStateMachine.apply(
+      userId,
+      "reactivate"
+    );
 
     logger.info(`[🔄] Abonnement réactivé avec succès`, {
       userId,
@@ -534,12 +690,264 @@ const SubscriptionIntegrationService = {
     return reactivated;
   },
 
-  async changePlan(userId, newPlan) {
+  // Annulation immédiate sans remboursement (fin d'accès tout de suite)
+  async cancelSubscriptionImmediately(userId, { reason = "" } = {}) {
+    logger.info("[⛔] Début de l'annulation immédiate", { userId, reason });
+
+    const subscription = await Subscription.findOne({ userId });
+
+    if (!subscription) {
+      throw new Error("Aucun abonnement à annuler trouvé.");
+    }
+
+    if (!SubscriptionStateMachine.can(subscription.status, "cancel_now")) {
+      throw new SubscriptionStateMachine.InvalidTransitionError(
+        "cancel_now",
+        subscription.status
+      );
+    }
+
+    if (subscription.pendingPlanChange) {
+      await this.cancelPendingPlanChange(userId);
+    }
+
+    const provider = PaymentProviders.forSubscription(subscription);
+    const providerSubscriptionId = provider?.getSubscriptionId(subscription);
+
+    if (providerSubscriptionId) {
+      try {
+        await provider.cancelNow(subscription, { reason });
+        logger.info(`[✅] Abonnement ${provider.label} annulé immédiatement`, {
+          providerSubscriptionId,
+        });
+      } catch (providerError) {
+        if (providerError.code !== "resource_missing") {
+          logger.error(
+            `[❌] Erreur lors de l'annulation immédiate ${provider.label}`,
+            { message: providerError.message, providerSubscriptionId }
+          );
+          throw new Error(
+            `Échec annulation ${provider.label}: ${providerError.message}`
+          );
+        }
+        logger.warn(
+          `[⚠️] Abonnement non trouvé chez ${provider.label}, annulation locale uniquement`
+        );
+      }
+    }
+
+    const canceled = await SubscriptionStateMachine.apply(userId, "cancel_now", {
+      endDate: new Date(),
+      pendingPlanChange: null,
+    });
+
+    logger.info("[⛔] Abonnement annulé immédiatement", {
+      userId,
+      plan: canceled.plan,
+    });
+    return canceled;
+  },
+
+  // Accorde un accès premium offert (partenaire, influenceur, support) sans abonnement Stripe.
+  // Sans endDate ni durationDays, l'accès est illimité.
+  async grantManualSubscription(
+    userId,
+    { plan, endDate, durationDays, reason, category = "other" } = {},
+    adminId
+  ) {
+    const grantError = (message, statusCode) => {
+      const error = new Error(message);
+      error.statusCode = statusCode;
+      return error;
+    };
+
+    if (!reason || !String(reason).trim()) {
+      throw grantError("Le motif de l'accès offert (reason) est requis.", 400);
+    }
+
+    const targetPlan = await PlanService.getPlanByCode(plan, { activeOnly: false });
+    if (!targetPlan) throw grantError("Plan invalide.", 400);
+
+    let grantEndDate = null;
+    if (endDate) {
+      grantEndDate = new Date(endDate);
+    } else if (durationDays) {
+      grantEndDate = new Date(Date.now() + Number(durationDays) * DAY_MS);
+    }
+    if (grantEndDate && (isNaN(grantEndDate.getTime()) || grantEndDate <= new Date())) {
+      throw grantError("La date de fin doit être une date future valide.", 400);
+    }
+
+    const existing = await Subscription.findOne({ userId });
+    if (
+      PaymentProviders.forSubscription(existing)?.getSubscriptionId(existing) &&
+      existing.status !== "canceled" &&
+      existing.status !== "incomplete"
+    ) {
+      throw grantError(
+        "L'utilisateur a un abonnement payant en cours : annulez-le avant d'accorder un accès offert.",
+        409
+      );
+    }
+
+    const granted = await SubscriptionStateMachine.apply(userId, "activate", {
+      plan: targetPlan.code,
+      paymentMethod: "manual",
+      startDate: new Date(),
+      endDate: grantEndDate,
+      stripeSubscriptionId: null,
+      stripePriceId: null,
+      paypalSubscriptionId: null,
+      pause: null,
+      pendingPlanChange: null,
+      grant: {
+        reason: String(reason).trim(),
+        category,
+        grantedBy: adminId,
+        grantedAt: new Date(),
+      },
+    });
+
+    logger.info("[🎁] Accès premium offert", {
+      userId,
+      plan: targetPlan.code,
+      endDate: grantEndDate,
+      category,
+      adminId,
+    });
+    return granted;
+  },
+
+  // Révoque un accès premium offert (fin d'accès immédiate)
+  async revokeManualSubscription(userId, { reason = "" } = {}, adminId) {
+    const subscription = await Subscription.findOne({
+      userId,
+      paymentMethod: "manual",
+    });
+
+    if (!subscription) {
+      const error = new Error("Aucun accès offert à révoquer pour cet utilisateur.");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const revoked = await SubscriptionStateMachine.apply(userId, "cancel_now", {
+      endDate: new Date(),
+      grant: {
+        ...subscription.grant?.toObject(),
+        revokedBy: adminId,
+        revokedAt: new Date(),
+        revokeReason: reason || null,
+      },
+    });
+
+    logger.info("[🚫] Accès premium offert révoqué", { userId, adminId, reason });
+    return revoked;
+  },
+
+  // Repousse la date de fin (période offerte) : prochaine facturation ou fin programmée
+  async extendSubscription(userId, { endDate }) {
+    const newEndDate = new Date(endDate);
+    if (!endDate || isNaN(newEndDate.getTime())) {
+      const error = new Error("endDate doit être une date valide.");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const subscription = await Subscription.findOne({
+      userId,
+      status: { $in: ["active", "trialing", "canceling"] },
+    });
+
+    if (!subscription) {
+      const error = new Error("Aucun abonnement en cours à prolonger.");
+      error.statusCode = 409;
+      throw error;
+    }
+
+    if (subscription.endDate && newEndDate <= subscription.endDate) {
+      const error = new Error(
+        "La nouvelle date de fin doit être postérieure à la date actuelle."
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    logger.info("[📅] Prolongation de l'abonnement", {
+      userId,
+      from: subscription.endDate,
+      to: newEndDate,
+    });
+
+    const provider = PaymentProviders.forSubscription(subscription);
+    if (provider?.getSubscriptionId(subscription)) {
+      try {
+        await provider.extend(subscription, newEndDate);
+      } catch (providerError) {
+        logger.error(`[❌] Erreur lors de la prolongation ${provider.label}`, {
+          message: providerError.message,
+          providerSubscriptionId: provider.getSubscriptionId(subscription),
+        });
+        if (providerError.statusCode) throw providerError;
+        throw new Error(
+          `Échec prolongation ${provider.label}: ${providerError.message}`
+        );
+      }
+    }
+
+    return this.updateSubscription(userId, { endDate: newEndDate });
+  },
+
+  // Aperçu du changement de plan (facture prévisionnelle du fournisseur)
+  async previewPlanChange(userId, newPlan) {
+    logger.info("[🔮] Aperçu du changement de plan", { userId, newPlan });
+
+    const subscription = await Subscription.findOne({
+      userId,
+      status: { $in: ["active", "trialing"] },
+      isActive: true,
+    });
+
+    const provider = PaymentProviders.forSubscription(subscription);
+    if (!provider?.getSubscriptionId(subscription)) {
+      throw new Error("Aucun abonnement payant actif trouvé pour changer le plan.");
+    }
+
+    if (subscription.plan === newPlan) {
+      throw new Error(`Vous êtes déjà sur le plan ${newPlan}.`);
+    }
+
+    const targetPlan = await PlanService.getPlanByCode(newPlan);
+    if (!targetPlan) {
+      throw new Error(`Plan ${newPlan} introuvable dans le catalogue.`);
+    }
+
+    const { prorationDate, summary, nextBillingDate } =
+      await provider.previewPlanChange(subscription, targetPlan);
+
+    logger.info(`[🔮] Aperçu calculé par ${provider.label}`, {
+      userId,
+      amountDue: summary.amountDue,
+      credit: summary.credit,
+      nextBillingDate,
+    });
+
+    return {
+      currentPlan: subscription.plan,
+      newPlan,
+      prorationDate,
+      ...summary,
+      nextBillingDate,
+    };
+  },
+
+  // Change le plan immédiatement ou à la fin de la période en cours
+  async changePlan(userId, newPlan, { prorationDate, effective } = {}) {
     logger.info("[🔄] Début du changement de plan", { userId, newPlan });
 
     const subscription = await Subscription.findOne({
       userId,
-      status: "active",
+      status: { $in: ["active", "trialing"] },
       isActive: true,
     });
 
@@ -564,129 +972,112 @@ const SubscriptionIntegrationService = {
       userId,
       currentPlan: subscription.plan,
       newPlan: newPlan,
-      stripeSubscriptionId: subscription.stripeSubscriptionId,
+      paymentMethod: subscription.paymentMethod,
     });
 
     const oldPlan = subscription.plan;
     let prorationAmount = 0;
+    let prorationInvoice = null;
     let effectiveDate = new Date();
 
-    if (subscription.stripeSubscriptionId) {
-      try {
-        const newPriceId =
-          newPlan === "annual"
-            ? process.env.STRIPE_PRICE_ANNUAL_ID
-            : process.env.STRIPE_PRICE_MONTHLY_ID;
+    const targetPlan = await PlanService.getPlanByCode(newPlan);
+    if (!targetPlan) {
+      throw new Error(`Plan ${newPlan} introuvable dans le catalogue.`);
+    }
 
-        if (!newPriceId) {
-          logger.error("[❌] Price ID non défini pour le nouveau plan", {
-            newPlan,
-          });
-          throw new Error(`Price ID non défini pour le plan ${newPlan}`);
-        }
+    const isGrant = subscription.paymentMethod === "manual";
+    const provider = PaymentProviders.forSubscription(subscription);
+    const providerSubscriptionId = provider?.getSubscriptionId(subscription);
 
-        logger.info("[📞] Changement de plan dans Stripe en cours", {
-          stripeSubscriptionId: subscription.stripeSubscriptionId,
-          newPriceId,
-        });
+    // Révision approuvée par le client chez le fournisseur, appliquée à l'échéance
+    if (providerSubscriptionId && provider.planChangeRequiresApproval) {
+      return this.requestPlanChangeApproval(subscription, targetPlan, provider);
+    }
 
-        const stripeSubscription = await stripe.subscriptions.retrieve(
-          subscription.stripeSubscriptionId
-        );
+    // Par défaut : rétrogradation en fin de période, montée en gamme immédiate
+    // (un accès offert n'a pas de période facturée : toujours immédiat)
+    const mode =
+      effective ||
+      (!isGrant && (await PlanService.isDowngrade(oldPlan, targetPlan))
+        ? "period_end"
+        : "immediate");
+
+    if (!["immediate", "period_end"].includes(mode)) {
+      throw new Error(
+        "Mode d'application invalide. Utilisez 'immediate' ou 'period_end'."
+      );
+    }
 
-        logger.debug("[🔍] Abonnement Stripe actuel récupéré", {
-          id: stripeSubscription.id,
-          itemsCount: stripeSubscription.items.data.length,
-        });
+    if (mode === "period_end") {
+      return this.schedulePlanChange(subscription, targetPlan);
+    }
 
-        const updatedStripeSubscription = await stripe.subscriptions.update(
-          subscription.stripeSubscriptionId,
-          {
-            items: [
-              {
-                id: stripeSubscription.items.data[0].id,
-                price: newPriceId,
-              },
-            ],
-            proration_behavior: "create_prorations",
-            metadata: {
-              changed_by_user: "true",
-              changed_at: new Date().toISOString(),
-              old_plan: oldPlan,
-              new_plan: newPlan,
-            },
-          }
-        );
+    // Un changement immédiat remplace tout changement programmé
+    if (subscription.pendingPlanChange) {
+      await this.cancelPendingPlanChange(userId);
+    }
 
-        const now = new Date();
-        if (newPlan === "annual") {
-          effectiveDate = new Date(now);
-          effectiveDate.setFullYear(effectiveDate.getFullYear() + 1);
-          logger.info("[📅] Nouvelle date de fin calculée pour plan annuel", {
-            effectiveDate,
-          });
-        } else if (newPlan === "monthly") {
-          effectiveDate = new Date(now);
-          effectiveDate.setMonth(effectiveDate.getMonth() + 1);
-          logger.info("[📅] Nouvelle date de fin calculée pour plan mensuel", {
-            effectiveDate,
-          });
-        }
+    if (providerSubscriptionId) {
+      try {
+        logger.info(`[📞] Changement de plan chez ${provider.label} en cours`, {
+          providerSubscriptionId,
+          newPlan,
+        });
 
-        const monthlyPrice = 9.99;
-        const annualPrice = 99.99;
+        const result = await provider.changePlan(subscription, targetPlan, {
+          prorationDate,
+          oldPlan,
+        });
 
-        if (oldPlan === "monthly" && newPlan === "annual") {
-          prorationAmount = -(monthlyPrice * 12 - annualPrice);
-          logger.info("[💰] Proratisation calculée (mensuel → annuel)", {
-            prorationAmount,
-          });
-        } else if (oldPlan === "annual" && newPlan === "monthly") {
-          prorationAmount = annualPrice / 12 - monthlyPrice;
-          logger.info("[💰] Proratisation calculée (annuel → mensuel)", {
+        effectiveDate = result.effectiveDate || effectiveDate;
+        prorationAmount = result.prorationAmount;
+        prorationInvoice = result.prorationInvoice;
+
+        logger.info("[📅] Nouvelle date de fin de période", {
+          newPlan,
+          effectiveDate,
+        });
+
+        if (prorationInvoice) {
+          logger.info(`[💰] Proratisation ajoutée à la prochaine facture ${provider.label}`, {
+            oldPlan,
+            newPlan,
             prorationAmount,
+            billingDate: prorationInvoice.billingDate,
           });
         }
 
-        logger.info(`[✅] Plan changé dans Stripe avec succès`, {
-          id: updatedStripeSubscription.id,
+        logger.info(`[✅] Plan changé chez ${provider.label} avec succès`, {
+          id: providerSubscriptionId,
           oldPlan,
           newPlan,
-          newPriceId,
           effectiveDate,
         });
-      } catch (stripeError) {
-        logger.error(`[❌] Erreur lors du changement de plan Stripe`, {
-          message: stripeError.message,
-          type: stripeError.type,
-          code: stripeError.code,
-          stripeSubscriptionId: subscription.stripeSubscriptionId,
+      } catch (providerError) {
+        logger.error(`[❌] Erreur lors du changement de plan ${provider.label}`, {
+          message: providerError.message,
+          type: providerError.type,
+          code: providerError.code,
+          providerSubscriptionId,
         });
         throw new Error(
-          `Échec changement de plan Stripe: ${stripeError.message}`
+          `Échec changement de plan ${provider.label}: ${providerError.message}`
         );
       }
-    } else {
+    } else if (!isGrant) {
       logger.warn(
-        `[⚠️] Pas de stripeSubscriptionId trouvé, changement local uniquement`
+        `[⚠️] Pas d'abonnement chez un fournisseur de paiement, changement local uniquement`
       );
-      const now = new Date();
-      if (newPlan === "annual") {
-        effectiveDate = new Date(now);
-        effectiveDate.setFullYear(effectiveDate.getFullYear() + 1);
-      } else if (newPlan === "monthly") {
-        effectiveDate = new Date(now);
-        effectiveDate.setMonth(effectiveDate.getMonth() + 1);
-      }
+      effectiveDate = await PlanService.calculatePeriodEnd(newPlan);
     }
 
     try {
       logger.info("[💾] Mise à jour de la base de données locale");
-      const updatedSubscription = await this.updateSubscription(userId, {
-        plan: newPlan,
-        endDate: effectiveDate,
-        updateUserRole: false,
-      });
+      // La durée d'un accès offert est conservée
+      const updatedSubscription = await this.updateSubscription(
+        userId,
+        isGrant ? { plan: newPlan } : { plan: newPlan, endDate: effectiveDate }
+      );
 
       logger.info(`[🔄] Plan changé avec succès`, {
         userId,
@@ -700,8 +1091,10 @@ const SubscriptionIntegrationService = {
         subscription: updatedSubscription,
         oldPlan,
         newPlan,
+        effective: "immediate",
         effectiveDate,
         prorationAmount,
+        prorationInvoice,
       };
     } catch (dbError) {
       logger.error(
@@ -714,6 +1107,779 @@ const SubscriptionIntegrationService = {
       throw new Error(`Erreur sauvegarde changement plan: ${dbError.message}`);
     }
   },
+
+  // Demande au fournisseur une révision de plan que le client doit approuver
+  // (le nouveau plan s'applique à la prochaine échéance, soldé par webhook)
+  async requestPlanChangeApproval(subscription, targetPlan, provider) {
+    const userId = subscription.userId;
+    const oldPlan = subscription.plan;
+
+    let result;
+    try {
+      result = await provider.changePlan(subscription, targetPlan, { oldPlan });
+    } catch (providerError) {
+      logger.error(`[❌] Erreur lors de la révision de plan ${provider.label}`, {
+        message: providerError.message,
+        providerSubscriptionId: provider.getSubscriptionId(subscription),
+      });
+      throw new Error(
+        `Échec changement de plan ${provider.label}: ${providerError.message}`
+      );
+    }
+
+    const effectiveDate = result.effectiveDate || subscription.endDate || new Date();
+
+    const updatedSubscription = await this.updateSubscription(userId, {
+      pendingPlanChange: {
+        plan: targetPlan.code,
+        effectiveDate,
+        requestedAt: new Date(),
+      },
+    });
+
+    logger.info(`[🗓️] Révision de plan ${provider.label} en attente d'approbation`, {
+      userId,
+      oldPlan,
+      newPlan: targetPlan.code,
+      effectiveDate,
+    });
+
+    return {
+      subscription: updatedSubscription,
+      oldPlan,
+      newPlan: targetPlan.code,
+      effective: "period_end",
+      effectiveDate,
+      approvalUrl: result.approvalUrl,
+      prorationAmount: 0,
+      prorationInvoice: null,
+    };
+  },
+
+  // Programme un changement de plan à la fin de la période (planning Stripe)
+  async schedulePlanChange(subscription, targetPlan) {
+    const userId = subscription.userId;
+    const oldPlan = subscription.plan;
+
+    const provider = PaymentProviders.forSubscription(subscription);
+    const providerSubscriptionId = provider?.getSubscriptionId(subscription);
+    if (!providerSubscriptionId) {
+      throw new Error(
+        "Le changement en fin de période nécessite un abonnement payant."
+      );
+    }
+
+    logger.info("[🗓️] Programmation d'un changement de plan en fin de période", {
+      userId,
+      oldPlan,
+      newPlan: targetPlan.code,
+    });
+
+    let schedule;
+    try {
+      schedule = await provider.schedulePlanChange(subscription, targetPlan, {
+        oldPlan,
+      });
+    } catch (providerError) {
+      logger.error(`[❌] Erreur lors de la programmation ${provider.label}`, {
+        message: providerError.message,
+        code: providerError.code,
+        providerSubscriptionId,
+      });
+      if (providerError.statusCode) throw providerError;
+      throw new Error(
+        `Échec programmation changement de plan ${provider.label}: ${providerError.message}`
+      );
+    }
+
+    const { scheduleId, effectiveDate } = schedule;
+
+    const updatedSubscription = await this.updateSubscription(userId, {
+      pendingPlanChange: {
+        plan: targetPlan.code,
+        effectiveDate,
+        stripeScheduleId: scheduleId,
+        requestedAt: new Date(),
+      },
+    });
+
+    logger.info("[🗓️] Changement de plan programmé", {
+      userId,
+      oldPlan,
+      newPlan: targetPlan.code,
+      effectiveDate,
+      scheduleId,
+    });
+
+    return {
+      subscription: updatedSubscription,
+      oldPlan,
+      newPlan: targetPlan.code,
+      effective: "period_end",
+      effectiveDate,
+      prorationAmount: 0,
+      prorationInvoice: null,
+    };
+  },
+
+  // Annule un changement de plan programmé (l'abonnement garde son plan actuel)
+  async cancelPendingPlanChange(userId) {
+    const subscription = await Subscription.findOne({ userId });
+
+    if (!subscription?.pendingPlanChange) {
+      throw new Error("Aucun changement de plan programmé.");
+    }
+
+    const { stripeScheduleId, plan } = subscription.pendingPlanChange;
+
+    const provider = PaymentProviders.forSubscription(subscription);
+    if (stripeScheduleId && provider) {
+      try {
+        await provider.cancelScheduledPlanChange(stripeScheduleId);
+      } catch (providerError) {
+        throw new Error(
+          `Échec annulation du changement programmé: ${providerError.message}`
+        );
+      }
+    }
+
+    const updated = await this.updateSubscription(userId, {
+      pendingPlanChange: null,
+    });
+
+    logger.info("[🗓️] Changement de plan programmé annulé", {
+      userId,
+      canceledPlan: plan,
+    });
+    return updated;
+  },
+
+  // Solde le changement programmé quand Stripe applique la nouvelle phase
+  // (ou quand le planning a été libéré côté Stripe)
+  async settlePendingPlanChange(userId, { plan, scheduleId }) {
+    const filter = { userId, pendingPlanChange: { $ne: null } };
+    if (scheduleId) filter["pendingPlanChange.plan"] = plan;
+
+    return Subscription.auditedUpdate(
+      filter,
+      { pendingPlanChange: null, updatedAt: new Date() },
+      { new: true }
+    );
+  },
+
+  // Met en pause la facturation jusqu'à la date de reprise demandée
+  async pauseSubscription(userId, { resumeDate } = {}) {
+    const resumesAt = resumeDate ? new Date(resumeDate) : null;
+    if (!resumesAt || isNaN(resumesAt.getTime()) || resumesAt <= new Date()) {
+      throw new Error("Une date de reprise future valide est requise.");
+    }
+    if (resumesAt.getTime() > Date.now() + pauseConfig.maxPauseDays * DAY_MS) {
+      throw new Error(
+        `La pause ne peut pas dépasser ${pauseConfig.maxPauseDays} jours.`
+      );
+    }
+
+    const subscription = await Subscription.findOne({
+      userId,
+      status: "active",
+      isActive: true,
+    });
+
+    if (!subscription) {
+      throw new Error("Aucun abonnement actif à mettre en pause.");
+    }
+    const provider = PaymentProviders.forSubscription(subscription);
+    const providerSubscriptionId = provider?.getSubscriptionId(subscription);
+    if (!providerSubscriptionId) {
+      throw new Error("La mise en pause nécessite un abonnement payant.");
+    }
+
+    logger.info("[⏸️] Mise en pause de l'abonnement", {
+      userId,
+      providerSubscriptionId,
+      resumesAt,
+    });
+
+    try {
+      await provider.pause(subscription, {
+        resumesAt,
+        behavior: pauseConfig.behavior,
+      });
+    } catch (providerError) {
+      logger.error(`[❌] Erreur lors de la mise en pause ${provider.label}`, {
+        message: providerError.message,
+        code: providerError.code,
+      });
+      if (providerError.statusCode) throw providerError;
+      throw new Error(
+        `Échec mise en pause ${provider.label}: ${providerError.message}`
+      );
+    }
+
+    return this.applyPause(userId, {
+      resumesAt,
+      behavior: pauseConfig.behavior,
+    });
+  },
+
+  // Enregistre localement une pause (demande utilisateur ou webhook Stripe)
+  async applyPause(userId, { resumesAt, behavior }) {
+    const subscription = await Subscription.findOne({ userId });
+    const keepAccess = pauseConfig.keepAccess;
+
+    const paused = await SubscriptionStateMachine.applyIfAllowed(userId, "pause", {
+      pause: {
+        pausedAt: subscription?.pause?.pausedAt || new Date(),
+        resumesAt,
+        behavior,
+        keepAccess,
+      },
+    });
+    if (!paused) return null;
+
+    logger.info("[⏸️] Abonnement en pause", {
+      userId,
+      resumesAt,
+      keepAccess,
+    });
+    return paused;
+  },
+
+  // Reprend immédiatement la facturation d'un abonnement en pause
+  async resumeSubscription(userId) {
+    const subscription = await Subscription.findOne({
+      userId,
+      status: "paused",
+    });
+
+    if (!subscription) {
+      throw new Error("Aucun abonnement en pause.");
+    }
+
+    const provider = PaymentProviders.forSubscription(subscription);
+    const providerSubscriptionId = provider?.getSubscriptionId(subscription);
+
+    logger.info("[▶️] Reprise de l'abonnement", {
+      userId,
+      providerSubscriptionId,
+    });
+
+    if (providerSubscriptionId) {
+      try {
+        await provider.resume(subscription);
+      } catch (providerError) {
+        logger.error(`[❌] Erreur lors de la reprise ${provider.label}`, {
+          message: providerError.message,
+          code: providerError.code,
+        });
+        throw new Error(`Échec reprise ${provider.label}: ${providerError.message}`);
+      }
+    }
+
+    return this.applyResume(userId);
+  },
+
+  // Enregistre localement la reprise (demande utilisateur ou reprise automatique Stripe)
+  async applyResume(userId) {
+    const resumed = await SubscriptionStateMachine.applyIfAllowed(
+      userId,
+      "resume",
+      { pause: null }
+    );
+    if (!resumed) return null;
+
+    logger.info("[▶️] Abonnement repris", { userId });
+    return resumed;
+  },
+
+  // Termine un abonnement encore actif (expiration ou suppression Stripe)
+  // La transition conditionnelle garantit qu'un seul appelant le termine
+  async endSubscription(filter, { endDate = new Date() } = {}) {
+    const subscription = await Subscription.findOne(filter, {
+      userId: 1,
+      status: 1,
+      paymentMethod: 1,
+      stripeSubscriptionId: 1,
+      paypalSubscriptionId: 1,
+    });
+    const ended =
+      subscription &&
+      (await SubscriptionStateMachine.applyIfAllowed(
+        subscription.userId,
+        "expire",
+        { endDate }
+      ));
+
+    if (!ended) {
+      logger.debug("[ℹ️] Abonnement déjà terminé ou introuvable", { filter });
+      return null;
+    }
+
+    logger.info("[⌛] Abonnement terminé", {
+      userId: ended.userId,
+      plan: ended.plan,
+      endDate: ended.endDate,
+    });
+
+    // Fournisseurs sans annulation programmée (PayPal) : l'abonnement est clos maintenant
+    const provider = PaymentProviders.forSubscription(subscription);
+    if (subscription.status === "canceling" && provider?.getSubscriptionId(subscription)) {
+      try {
+        await provider.endOfPeriodReached(subscription);
+      } catch (providerError) {
+        logger.warn(`[⚠️] Clôture ${provider.label} en fin de période échouée`, {
+          userId: ended.userId,
+          message: providerError.message,
+        });
+      }
+    }
+
+    try {
+      const user = await User.findById(ended.userId);
+      if (user?.email) {
+        await NotificationService.sendSubscriptionEnded(user.email, {
+          plan: ended.plan,
+          endDate: ended.endDate,
+        });
+      }
+    } catch (notificationError) {
+      logger.warn(
+        "⚠️ Erreur notification fin d'abonnement:",
+        notificationError.message
+      );
+    }
+
+    return ended;
+  },
+
+  // Termine les abonnements annulés et les accès offerts dont la date de fin est dépassée
+  async expireDueSubscriptions({ now = new Date(), batchSize = 100 } = {}) {
+    const due = await Subscription.find(
+      {
+        $or: [
+          { status: "canceling" },
+          // Accès offert à durée limitée (sans date de fin : illimité)
+          { status: "active", paymentMethod: "manual" },
+        ],
+        endDate: { $lte: now },
+      },
+      { _id: 1, status: 1, endDate: 1 }
+    ).limit(batchSize);
+
+    let expired = 0;
+    for (const subscription of due) {
+      try {
+        const ended = await this.endSubscription(
+          {
+            _id: subscription._id,
+            status: subscription.status,
+            endDate: { $lte: now },
+          },
+          { endDate: subscription.endDate }
+        );
+        if (ended) expired++;
+      } catch (error) {
+        logger.error("[❌] Erreur lors de l'expiration d'un abonnement", {
+          subscriptionId: subscription._id,
+          error: error.message,
+        });
+      }
+    }
+
+    return { checked: due.length, expired };
+  },
+
+  // Applique la politique de relance après un échec de paiement
+  async applyPaymentFailure(userId, failure) {
+    const subscription = await Subscription.findOne({ userId });
+    if (!subscription) {
+      logger.warn("[❌] Aucun abonnement pour appliquer la relance", { userId });
+      return null;
+    }
+
+    const now = new Date();
+    const firstFailureDate = subscription.dunning?.firstFailureDate || now;
+    const graceUntil = new Date(
+      firstFailureDate.getTime() + dunningConfig.gracePeriodDays * DAY_MS
+    );
+    const attemptCount =
+      failure.attemptCount || (subscription.dunning?.attemptCount || 0) + 1;
+
+    // Prochaine tentative : celle planifiée par Stripe, sinon notre calendrier
+    let nextAttemptDate = failure.nextPaymentAttempt
+      ? new Date(failure.nextPaymentAttempt * 1000)
+      : null;
+    let retryByPolicy = false;
+
+    if (!nextAttemptDate && attemptCount < dunningConfig.maxAttempts) {
+      const schedule = dunningConfig.retryScheduleDays;
+      const delayDays = schedule[Math.min(attemptCount - 1, schedule.length - 1)];
+      nextAttemptDate = new Date(now.getTime() + delayDays * DAY_MS);
+      retryByPolicy = true;
+    }
+
+    logger.info("[📨] Relance après échec de paiement", {
+      userId,
+      attemptCount,
+      maxAttempts: dunningConfig.maxAttempts,
+      nextAttemptDate,
+      retryByPolicy,
+      graceUntil,
+    });
+
+    if (attemptCount >= dunningConfig.maxAttempts || now >= graceUntil) {
+      return this.suspendForNonPayment(
+        { _id: subscription._id },
+        { attemptCount, invoiceId: failure.invoiceId }
+      );
+    }
+
+    const updated = await Subscription.auditedUpdate(
+      { _id: subscription._id },
+      {
+        $set: {
+          "dunning.attemptCount": attemptCount,
+          "dunning.firstFailureDate": firstFailureDate,
+          "dunning.nextAttemptDate": nextAttemptDate,
+          "dunning.retryByPolicy": retryByPolicy,
+          "dunning.graceUntil": graceUntil,
+          "dunning.invoiceId": failure.invoiceId,
+          updatedAt: now,
+        },
+      },
+      { new: true }
+    );
+
+    try {
+      const user = await User.findById(userId);
+      if (user?.email) {
+        await NotificationService.sendPaymentFailed(user.email, {
+          amount: failure.amount,
+          failureReason: failure.failureReason,
+          nextAttempt: nextAttemptDate,
+          attempt: attemptCount,
+          maxAttempts: dunningConfig.maxAttempts,
+          graceUntil,
+          invoiceUrl: failure.invoiceUrl,
+        });
+      }
+    } catch (notificationError) {
+      logger.warn(
+        "⚠️ Erreur notification échec paiement:",
+        notificationError.message
+      );
+    }
+
+    return updated;
+  },
+
+  // Suspend un abonnement impayé et retire l'accès premium
+  async suspendForNonPayment(filter, { attemptCount, invoiceId } = {}) {
+    const now = new Date();
+    const subscription = await Subscription.findOne(filter);
+    if (!subscription) return null;
+
+    const fields = {
+      "dunning.nextAttemptDate": null,
+      "dunning.retryByPolicy": false,
+      "dunning.suspendedAt": now,
+    };
+    if (attemptCount) fields["dunning.attemptCount"] = attemptCount;
+    if (invoiceId) fields["dunning.invoiceId"] = invoiceId;
+
+    const suspended = await SubscriptionStateMachine.applyIfAllowed(
+      subscription.userId,
+      "suspend",
+      fields
+    );
+
+    if (!suspended) return Subscription.findOne(filter);
+
+    logger.warn("[⛔] Abonnement suspendu pour impayé", {
+      userId: suspended.userId,
+      attemptCount: suspended.dunning?.attemptCount,
+    });
+
+    try {
+      const user = await User.findById(suspended.userId);
+      if (user?.email) {
+        await NotificationService.sendSubscriptionSuspended(user.email, {
+          plan: suspended.plan,
+          attempts: suspended.dunning?.attemptCount,
+          suspendedAt: now,
+        });
+      }
+    } catch (notificationError) {
+      logger.warn(
+        "⚠️ Erreur notification suspension:",
+        notificationError.message
+      );
+    }
+
+    return suspended;
+  },
+
+  // Rétablit l'abonnement après un paiement réussi (fin de relance ou de suspension)
+  async restoreAfterPayment(userId) {
+    const subscription = await Subscription.findOne({ userId });
+    if (!subscription) return null;
+
+    const wasSuspended = subscription.status === "suspended";
+    if (!wasSuspended && !subscription.dunning?.attemptCount) {
+      return subscription;
+    }
+
+    const fields = { paymentStatus: "success", dunning: { attemptCount: 0 } };
+    const restored = wasSuspended
+      ? await SubscriptionStateMachine.applyIfAllowed(userId, "restore", fields)
+      : await this.updateSubscription(userId, fields);
+    if (!restored) return Subscription.findOne({ userId });
+
+    logger.info("[✅] Abonnement rétabli après paiement", {
+      userId,
+      wasSuspended,
+      status: restored.status,
+    });
+
+    if (wasSuspended) {
+      try {
+        const user = await User.findById(userId);
+        if (user?.email) {
+          await NotificationService.sendSubscriptionReactivated(user.email, {
+            plan: restored.plan,
+            endDate: restored.endDate,
+          });
+        }
+      } catch (notificationError) {
+        logger.warn(
+          "⚠️ Erreur notification rétablissement:",
+          notificationError.message
+        );
+      }
+    }
+
+    return restored;
+  },
+
+  // Suspend les abonnements dont la période de grâce est écoulée
+  async suspendOverdueSubscriptions({ now = new Date(), batchSize = 100 } = {}) {
+    const overdue = await Subscription.find(
+      {
+        status: { $in: ["active", "trialing", "canceling"] },
+        "dunning.attemptCount": { $gt: 0 },
+        "dunning.graceUntil": { $lte: now },
+      },
+      { _id: 1 }
+    ).limit(batchSize);
+
+    let suspended = 0;
+    for (const subscription of overdue) {
+      const result = await this.suspendForNonPayment({
+        _id: subscription._id,
+        "dunning.graceUntil": { $lte: now },
+      });
+      if (result?.status === "suspended") suspended++;
+    }
+
+    return { checked: overdue.length, suspended };
+  },
+
+  // Relance les factures dont la tentative dépend de notre calendrier
+  async retryDuePayments({ now = new Date(), batchSize = 50 } = {}) {
+    const due = await Subscription.find(
+      {
+        status: { $ne: "suspended" },
+        "dunning.retryByPolicy": true,
+        "dunning.nextAttemptDate": { $lte: now },
+      },
+      { _id: 1 }
+    ).limit(batchSize);
+
+    let retried = 0;
+    for (const { _id } of due) {
+      // Réservation de la tentative : une seule instance relance la facture
+      const claimed = await Subscription.auditedUpdate(
+        {
+          _id,
+          "dunning.retryByPolicy": true,
+          "dunning.nextAttemptDate": { $lte: now },
+        },
+        { $set: { "dunning.retryByPolicy": false } },
+        { new: true }
+      );
+      if (!claimed?.dunning?.invoiceId) continue;
+
+      try {
+        await PaymentProviders.forSubscription(claimed).retryPayment(
+          claimed.dunning.invoiceId
+        );
+        logger.info("[🔁] Facture relancée avec succès", {
+          userId: claimed.userId,
+          invoiceId: claimed.dunning.invoiceId,
+        });
+      } catch (providerError) {
+        // L'échec déclenche invoice.payment_failed, qui planifie l'étape suivante
+        logger.warn("[🔁] Nouvelle tentative de paiement échouée", {
+          userId: claimed.userId,
+          invoiceId: claimed.dunning.invoiceId,
+          error: providerError.message,
+        });
+      }
+      retried++;
+    }
+
+    return { checked: due.length, retried };
+  },
+
+  // Rembourse le dernier paiement et annule immédiatement l'abonnement chez le fournisseur
+  async refundSubscription(userId, { reason = "" } = {}) {
+    logger.info("[💰] Début du remboursement", { userId, reason });
+
+    const subscription = await Subscription.findOne({ userId });
+
+    if (subscription?.paymentMethod === "manual") {
+      const error = new Error(
+        "Accès premium offert : aucun paiement à rembourser. Révoquez l'accès à la place."
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const provider = PaymentProviders.forSubscription(subscription);
+    const providerSubscriptionId = provider?.getSubscriptionId(subscription);
+    if (!providerSubscriptionId) {
+      logger.warn("[❌] Aucun abonnement payant à rembourser", { userId });
+      throw new Error("Aucun abonnement payant associé, remboursement impossible.");
+    }
+
+    // Vérifié avant de rembourser : l'abonnement doit pouvoir être annulé
+    if (!SubscriptionStateMachine.can(subscription.status, "cancel_now")) {
+      throw new SubscriptionStateMachine.InvalidTransitionError(
+        "cancel_now",
+        subscription.status
+      );
+    }
+
+    let refund;
+    try {
+      refund = await provider.refundLastPayment(subscription, { reason });
+    } catch (providerError) {
+      logger.error(`[❌] Erreur lors du remboursement ${provider.label}`, {
+        message: providerError.message,
+        code: providerError.code,
+        providerSubscriptionId,
+      });
+      if (providerError.statusCode) throw providerError;
+      throw new Error(
+        `Échec remboursement ${provider.label}: ${providerError.message}`
+      );
+    }
+
+    try {
+      await provider.cancelNow(subscription);
+      logger.info(`[✅] Abonnement ${provider.label} annulé immédiatement`, {
+        providerSubscriptionId,
+      });
+    } catch (providerError) {
+      if (providerError.code !== "resource_missing") {
+        logger.error(`[❌] Remboursement créé mais annulation ${provider.label} échouée`, {
+          message: providerError.message,
+          refundId: refund.id,
+          providerSubscriptionId,
+        });
+        throw new Error(
+          `Échec annulation ${provider.label}: ${providerError.message}`
+        );
+      }
+    }
+
+    await SubscriptionStateMachine.apply(userId, "cancel_now", {
+      endDate: new Date(),
+      refundStatus: "pending",
+      refundAmount: refund.amount / 100,
+      refundDate: new Date(refund.created * 1000),
+      refundReason: reason || "Demande client",
+      stripeRefundId: refund.id,
+    });
+
+    await PaymentService.record({
+      userId,
+      subscriptionId: subscription._id,
+      reference: refund.id,
+      type: "refund",
+      status: "pending",
+      amount: refund.amount / 100,
+      currency: refund.currency,
+      plan: subscription.plan,
+      description: reason || "Demande client",
+      stripeRefundId: refund.id,
+      stripeChargeId: refund.charge,
+      stripePaymentIntentId: refund.payment_intent,
+      occurredAt: new Date(refund.created * 1000),
+    });
+
+    const updated = await this.applyRefundStatus(refund);
+
+    logger.info("[💰] Remboursement enregistré", {
+      userId,
+      refundId: refund.id,
+      stripeStatus: refund.status,
+      refundStatus: updated.refundStatus,
+      amount: refund.amount / 100,
+    });
+
+    return { subscription: updated, refund };
+  },
+
+  // Applique le statut d'un remboursement Stripe à l'abonnement concerné
+  async applyRefundStatus(refund) {
+    const refundStatus = mapRefundStatus(refund.status);
+    await PaymentService.updateRefundStatus(
+      refund.id,
+      { processed: "succeeded", failed: "failed" }[refundStatus] || "pending"
+    );
+
+    const subscription = await Subscription.findOne({
+      stripeRefundId: refund.id,
+    });
+
+    if (!subscription) {
+      logger.warn("[❌] Aucun abonnement lié à ce remboursement", {
+        refundId: refund.id,
+      });
+      return null;
+    }
+
+    if (subscription.refundStatus === refundStatus) {
+      return subscription;
+    }
+
+    const amount = refund.amount / 100;
+    let totalRefundedDelta = 0;
+    if (refundStatus === "processed") {
+      totalRefundedDelta = amount;
+    } else if (subscription.refundStatus === "processed") {
+      totalRefundedDelta = -amount;
+    }
+
+    // Filtre sur le statut précédent : un événement concurrent ne compte pas deux fois
+    const updated = await Subscription.auditedUpdate(
+      { _id: subscription._id, refundStatus: subscription.refundStatus },
+      {
+        $set: { refundStatus, refundAmount: amount, updatedAt: new Date() },
+        $inc: { totalRefunded: totalRefundedDelta },
+      },
+      { new: true }
+    );
+
+    logger.info("[💰] Statut de remboursement mis à jour", {
+      refundId: refund.id,
+      from: subscription.refundStatus,
+      to: refundStatus,
+    });
+
+    return updated || Subscription.findById(subscription._id);
+  },
 };
 
 module.exports = SubscriptionIntegrationService;
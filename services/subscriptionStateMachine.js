@@ -0,0 +1,307 @@
+const Subscription = require("../models/Subscription");
+const User = require("../models/User");
+const { logger } = require("../utils/logger");
+const { runInTransaction, VersionConflictError } = require("../utils/transaction");
+const mongoose = require("mongoose");
+const PayPalProvider = require("../providers/paypalProvider");
+
+// États d'un abonnement
+const STATES = [
+  "incomplete", // client Stripe créé, aucun paiement encore
+  "trialing", // essai gratuit en cours
+  "active", // abonnement payé
+  "canceling", // annulation programmée, accès conservé jusqu'à la fin de période
+  "paused", // facturation en pause
+  "suspended", // impayé après la politique de relance
+  "canceled", // terminé, plus d'accès
+];
+
+const INITIAL_STATE = "incomplete";
+
+// États donnant accès au premium (paused selon la politique de pause)
+const ACCESS_STATES = ["trialing", "active", "canceling"];
+
+// Événements autorisés : états de départ (null = pas encore d'abonnement) → état d'arrivée
+const TRANSITIONS = {
+  start_trial: {
+    from: [null, "incomplete", "canceled", "trialing"],
+    to: "trialing",
+  },
+  activate: {
+    from: [null, "incomplete", "canceled", "trialing", "active"],
+    to: "active",
+  },
+  schedule_cancel: {
+    from: ["active", "trialing", "canceling"],
+    to: "canceling",
+  },
+  // Annulation de l'annulation : retour à l'essai s'il n'est pas terminé
+  reactivate: {
+    from: ["canceling"],
+    to: (subscription) =>
+      subscription.trialEndDate && subscription.trialEndDate > new Date()
+        ? "trialing"
+        : "active",
+  },
+  pause: {
+    from: ["active", "paused"],
+    to: "paused",
+  },
+  resume: {
+    from: ["paused"],
+    to: "active",
+  },
+  suspend: {
+    from: ["active", "trialing", "canceling"],
+    to: "suspended",
+  },
+  // Paiement régularisé : une annulation programmée avant la suspension est conservée
+  restore: {
+    from: ["suspended"],
+    to: (subscription) =>
+      subscription.cancelationType === "end_of_period" ? "canceling" : "active",
+  },
+  cancel_now: {
+    from: ["incomplete", "trialing", "active", "canceling", "paused", "suspended"],
+    to: "canceled",
+  },
+  expire: {
+    from: ["trialing", "active", "canceling", "paused", "suspended"],
+    to: "canceled",
+  },
+};
+
+// Type d'annulation fixé par l'événement (undefined = inchangé)
+const CANCELATION_TYPES = {
+  start_trial: null,
+  activate: null,
+  schedule_cancel: "end_of_period",
+  reactivate: null,
+  resume: null,
+  cancel_now: "immediate",
+};
+
+// Transition refusée par la machine à états
+class InvalidTransitionError extends Error {
+  constructor(event, from) {
+    super(
+      `Transition "${event}" impossible depuis l'état "${from || "aucun abonnement"}".`
+    );
+    this.name = "InvalidTransitionError";
+    this.code = "INVALID_TRANSITION";
+    this.statusCode = 409;
+    this.event = event;
+    this.from = from;
+  }
+}
+
+// Événement inconnu (erreur de programmation)
+class UnknownEventError extends Error {
+  constructor(event) {
+    super(`Événement d'abonnement inconnu : "${event}".`);
+    this.name = "UnknownEventError";
+    this.code = "UNKNOWN_EVENT";
+    this.statusCode = 500;
+    this.event = event;
+  }
+}
+
+const SubscriptionStateMachine = {
+  STATES,
+  INITIAL_STATE,
+  ACCESS_STATES,
+  InvalidTransitionError,
+  UnknownEventError,
+
+  // Indique si un événement est applicable depuis un état
+  can(from, event) {
+    const transition = TRANSITIONS[event];
+    if (!transition) throw new UnknownEventError(event);
+    return transition.from.includes(from ?? null);
+  },
+
+  // Accès premium dérivé de l'état
+  hasAccess(status, subscription = {}) {
+    if (status === "paused") return !!subscription.pause?.keepAccess;
+    return ACCESS_STATES.includes(status);
+  },
+
+  // Applique un événement à l'abonnement d'un utilisateur :
+  // vérifie la transition, dérive isActive / cancelationType, synchronise le rôle.
+  // Abonnement et rôle sont écrits dans la même transaction, avec contrôle de version.
+  async apply(userId, event, fields = {}) {
+    if (!TRANSITIONS[event]) throw new UnknownEventError(event);
+
+    const objectId =
+      typeof userId === "string" ? new mongoose.Types.ObjectId(userId) : userId;
+
+    const { updated, from, to } = await runInTransaction(
+      async (session) => {
+        const current = await Subscription.findOne({ userId: objectId }).session(
+          session
+        );
+        const from = current?.status ?? null;
+
+        if (!this.can(from, event)) {
+          throw new InvalidTransitionError(event, from);
+        }
+
+        const transition = TRANSITIONS[event];
+        const merged = { ...(current?.toObject() || {}), ...fields };
+        const to =
+          typeof transition.to === "function" ? transition.to(merged) : transition.to;
+
+        const update = {
+          ...fields,
+          status: to,
+          isActive: this.hasAccess(to, merged),
+          updatedAt: new Date(),
+        };
+        if (CANCELATION_TYPES[event] !== undefined) {
+          update.cancelationType = CANCELATION_TYPES[event];
+        }
+
+        let updated;
+        try {
+          // La version lue doit être inchangée au moment de l'écriture
+          updated = await Subscription.findOneAndUpdate(
+            current
+              ? { _id: current._id, __v: current.__v }
+              : { userId: objectId },
+            { $set: update },
+            { new: true, upsert: !current, session }
+          );
+        } catch (error) {
+          // Création concurrente du document
+          if (error.code === 11000 && !current) {
+            throw new VersionConflictError("Subscription", objectId);
+          }
+          throw error;
+        }
+        if (!updated) throw new VersionConflictError("Subscription", current._id);
+
+        await this.syncUserRole(objectId, updated.isActive, session);
+
+        return { updated, from, to };
+      },
+      { label: `subscription:${event}` }
+    );
+
+    // Après la validation : une lecture pendant la transaction a pu remettre l'ancien état en cache
+    require("./entitlementService").invalidate(objectId);
+
+    logger.info("[🔀] Transition d'abonnement appliquée", {
+      userId: objectId,
+      event,
+      from,
+      to,
+      isActive: updated.isActive,
+    });
+    return updated;
+  },
+
+  // Applique un événement s'il est permis, sinon ne fait rien (traitements idempotents)
+  async applyIfAllowed(userId, event, fields = {}) {
+    try {
+      return await this.apply(userId, event, fields);
+    } catch (error) {
+      if (error instanceof InvalidTransitionError) {
+        logger.info("[ℹ️] Transition ignorée", {
+          userId,
+          event,
+          from: error.from,
+        });
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  // Rôle dérivé de l'accès (les administrateurs ne sont jamais modifiés)
+  async syncUserRole(userId, hasAccess, session = null) {
+    if (hasAccess) {
+      await User.updateOne(
+        { _id: userId, role: "user" },
+        { role: "premium" },
+        { session }
+      );
+    } else {
+      await User.updateOne(
+        { _id: userId, role: "premium" },
+        { role: "user" },
+        { session }
+      );
+    }
+  },
+
+  // Événement correspondant à un abonnement Stripe reçu par webhook
+  eventFromStripe(stripeSubscription, currentStatus) {
+    // cancel_at : fin programmée à une date précise (prolongation accordée par un admin)
+    if (stripeSubscription.cancel_at_period_end || stripeSubscription.cancel_at) {
+      return "schedule_cancel";
+    }
+    if (stripeSubscription.pause_collection) return "pause";
+
+    switch (stripeSubscription.status) {
+      case "trialing":
+        return currentStatus === "canceling" ? "reactivate" : "start_trial";
+      case "active":
+        if (currentStatus === "paused") return "resume";
+        if (currentStatus === "canceling") return "reactivate";
+        if (currentStatus === "suspended") return "restore";
+        return "activate";
+      case "unpaid":
+        return "suspend";
+      case "canceled":
+      case "incomplete_expired":
+        return "expire";
+      default:
+        // past_due (relance en cours) et incomplete : pas de changement d'état
+        return null;
+    }
+  },
+
+  // Événement correspondant à un abonnement PayPal reçu par webhook
+  eventFromPayPal(paypalSubscription, currentStatus) {
+    switch (paypalSubscription.status) {
+      case "ACTIVE":
+        if (currentStatus === "canceling") return "reactivate";
+        if (currentStatus === "suspended") return "restore";
+        return "activate";
+      case "SUSPENDED":
+        // Suspension demandée par nous pour une annulation en fin de période :
+        // le webhook peut arriver avant l'écriture locale de l'état canceling
+        if (PayPalProvider.isScheduledCancellation(paypalSubscription)) {
+          return currentStatus === "canceling" ? null : "schedule_cancel";
+        }
+        return currentStatus === "canceling" ? null : "suspend";
+      case "CANCELLED":
+      case "EXPIRED":
+        return "expire";
+      default:
+        // APPROVAL_PENDING, APPROVED : pas encore de paiement
+        return null;
+    }
+  },
+
+  // Convertit les abonnements "canceled mais actifs" de l'ancien modèle
+  async migrateLegacyStates() {
+    const result = await runInTransaction(
+      (session) =>
+        Subscription.updateMany(
+          { status: "canceled", isActive: true },
+          { $set: { status: "canceling", cancelationType: "end_of_period" } },
+          { session }
+        ),
+      { label: "subscription:migrate" }
+    );
+    if (result.modifiedCount > 0) {
+      logger.info("[🔀] Abonnements migrés vers l'état canceling", {
+        count: result.modifiedCount,
+      });
+    }
+    return result.modifiedCount;
+  },
+};
+
+module.exports = SubscriptionStateMachine;
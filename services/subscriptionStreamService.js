@@ -0,0 +1,120 @@
+const { EventEmitter } = require("events");
+const Subscription = require("../models/Subscription");
+const { logger } = require("../utils/logger");
+
+// Délai avant de rouvrir le change stream après une erreur
+const RECONNECT_DELAY_MS = 5000;
+
+// Un canal par utilisateur, alimenté par un seul change stream par instance
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let changeStream = null;
+let resumeToken = null;
+let reconnectTimer = null;
+
+const SubscriptionStreamService = {
+
+  // Champs de l'abonnement poussés au frontend
+  toPayload(subscription) {
+    if (!subscription) return null;
+    return {
+      userId: String(subscription.userId),
+      plan: subscription.plan,
+      status: subscription.status,
+      isActive: subscription.isActive,
+      startDate: subscription.startDate,
+      endDate: subscription.endDate,
+      cancelationType: subscription.cancelationType,
+      paymentStatus: subscription.paymentStatus,
+      refundStatus: subscription.refundStatus,
+      trialEndDate: subscription.trialEndDate,
+      pause: subscription.pause,
+      pendingPlanChange: subscription.pendingPlanChange,
+      updatedAt: subscription.updatedAt,
+    };
+  },
+
+  // Abonne un client aux changements de l'abonnement d'un utilisateur
+  subscribe(userId, listener) {
+    const channel = String(userId);
+    emitter.on(channel, listener);
+    this.ensureWatching();
+
+    return () => {
+      emitter.off(channel, listener);
+      if (emitter.eventNames().length === 0) {
+        this.stopWatching();
+        resumeToken = null;
+      }
+    };
+  },
+
+  // Ouvre le change stream MongoDB : toute écriture, quelle que soit l'instance, est vue
+  ensureWatching() {
+    if (changeStream || reconnectTimer) return;
+
+    const options = { fullDocument: "updateLookup" };
+    if (resumeToken) options.resumeAfter = resumeToken;
+
+    changeStream = Subscription.watch(
+      [{ $match: { operationType: { $in: ["insert", "update", "replace"] } } }],
+      options
+    );
+
+    changeStream.on("change", (change) => {
+      resumeToken = change._id;
+      const subscription = change.fullDocument;
+      if (!subscription?.userId) return;
+
+      emitter.emit(String(subscription.userId), {
+        type: change.operationType === "insert" ? "created" : "updated",
+        updatedFields: Object.keys(
+          change.updateDescription?.updatedFields || {}
+        ),
+        subscription: this.toPayload(subscription),
+      });
+    });
+
+    changeStream.on("error", (error) => {
+      logger.error("[📡] Erreur du change stream des abonnements", {
+        error: error.message,
+      });
+      this.stopWatching();
+
+      if (emitter.eventNames().length > 0) {
+        reconnectTimer = setTimeout(() => {
+          reconnectTimer = null;
+          this.ensureWatching();
+        }, RECONNECT_DELAY_MS);
+        reconnectTimer.unref();
+      }
+    });
+
+    logger.info("[📡] Change stream des abonnements ouvert");
+  },
+
+  // Ferme le change stream (plus aucun client connecté)
+  stopWatching() {
+    if (!changeStream) return;
+
+    const stream = changeStream;
+    changeStream = null;
+    stream.close().catch((error) => {
+      logger.warn("[⚠️] Fermeture du change stream impossible", {
+        error: error.message,
+      });
+    });
+    logger.info("[📡] Change stream des abonnements fermé");
+  },
+
+  // Arrêt du service (shutdown)
+  close() {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    emitter.removeAllListeners();
+    this.stopWatching();
+  },
+};
+
+module.exports = SubscriptionStreamService;
@@ -0,0 +1,247 @@
+const { logger } = require("../utils/logger");
+const SubscriptionIntegrationService = require("./subscriptionIntegrationService");
+const SubscriptionStateMachine = require("./subscriptionStateMachine");
+const NotificationService = require("./notificationService");
+const PlanService = require("./planService");
+const PromoCodeService = require("./promoCodeService");
+const User = require("../models/User");
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+// Synchronisation de l'abonnement local avec l'état chez le fournisseur,
+// partagée par les webhooks et la resynchronisation administrateur
+const SubscriptionSyncService = {
+
+  // Synchronise l'état local avec l'abonnement Stripe
+  async syncStripeSubscription(subscription) {
+    const customerId = subscription.customer;
+    const userId = await SubscriptionIntegrationService.getUserIdFromCustomerId(
+      customerId
+    );
+
+    if (!userId) {
+      logger.warn(`❌ Aucun userId pour customerId: ${customerId}`);
+      return { success: false, reason: "User not found" };
+    }
+
+    let plan = "premium";
+    if (subscription.items.data.length > 0) {
+      const priceId = subscription.items.data[0].price.id;
+      plan = await SubscriptionIntegrationService.getPlanFromStripePrice(priceId);
+    }
+
+    // Une fin programmée à date précise prime sur la fin de période
+    const endDate = new Date(
+      (subscription.cancel_at || subscription.current_period_end) * 1000
+    );
+
+    const updateData = {
+      plan,
+      stripeSubscriptionId: subscription.id,
+      endDate,
+      discount: await PromoCodeService.describeDiscount(subscription.discount),
+    };
+
+    logger.info(`[🔍] Statut reçu:`, {
+      status: subscription.status,
+      cancel_at_period_end: subscription.cancel_at_period_end,
+      pause_collection: !!subscription.pause_collection,
+      current_period_end: endDate,
+    });
+
+    // Changement de plan programmé appliqué (ou planning libéré) par Stripe
+    const settled = await SubscriptionIntegrationService.settlePendingPlanChange(
+      userId,
+      { plan, scheduleId: subscription.schedule }
+    );
+    if (settled) {
+      logger.info(`[🗓️] Changement de plan programmé soldé`, { userId, plan });
+    }
+
+    const current = await SubscriptionIntegrationService.getCurrentSubscription(
+      userId
+    );
+    const event = SubscriptionStateMachine.eventFromStripe(
+      subscription,
+      current?.status
+    );
+
+    if (event === "pause") {
+      // Stripe garde le statut "active" pendant une pause : ce n'est pas une annulation
+      const resumesAt = subscription.pause_collection.resumes_at
+        ? new Date(subscription.pause_collection.resumes_at * 1000)
+        : null;
+      logger.info(`[⏸️] Facturation en pause`, { resumesAt });
+      return SubscriptionIntegrationService.applyPause(userId, {
+        resumesAt,
+        behavior: subscription.pause_collection.behavior,
+      });
+    }
+
+    if (event === "suspend") {
+      logger.info(`[⛔] Abonnement impayé côté Stripe`);
+      return SubscriptionIntegrationService.suspendForNonPayment({ userId });
+    }
+
+    if (event === "start_trial" && subscription.trial_end) {
+      updateData.trialEndDate = new Date(subscription.trial_end * 1000);
+    }
+    if (event === "resume") {
+      updateData.pause = null;
+    }
+
+    logger.debug(`[🛠️] Données de mise à jour pour ${userId}:`, {
+      event,
+      updateData,
+    });
+
+    // past_due (relance en cours) ou incomplete : seules les données sont synchronisées
+    const updated =
+      event &&
+      (await SubscriptionStateMachine.applyIfAllowed(userId, event, updateData));
+
+    return (
+      updated ||
+      SubscriptionIntegrationService.updateSubscription(userId, updateData)
+    );
+  },
+
+  // Termine l'abonnement local quand l'abonnement Stripe est supprimé
+  async endStripeSubscription(subscription) {
+    const userId = await SubscriptionIntegrationService.getUserIdFromCustomerId(
+      subscription.customer
+    );
+
+    if (!userId) {
+      logger.warn(`❌ Aucun userId pour customerId: ${subscription.customer}`);
+      return { success: false, reason: "User not found" };
+    }
+
+    const endedAt = subscription.ended_at
+      ? new Date(subscription.ended_at * 1000)
+      : new Date();
+
+    const ended = await SubscriptionIntegrationService.endSubscription(
+      { userId, stripeSubscriptionId: subscription.id },
+      { endDate: endedAt }
+    );
+
+    return ended || { received: true, alreadyEnded: true };
+  },
+
+  // Synchronise l'état local avec l'abonnement PayPal
+  async syncPayPalSubscription(paypalSubscription) {
+    const userId = await SubscriptionIntegrationService.getUserIdFromPayPalSubscription(
+      paypalSubscription.id,
+      paypalSubscription.custom_id
+    );
+    if (!userId) {
+      return { success: false, reason: "User not found" };
+    }
+
+    const current = await SubscriptionIntegrationService.getCurrentSubscription(
+      userId
+    );
+    const isCurrent = current?.paypalSubscriptionId === paypalSubscription.id;
+
+    // Événement d'un ancien abonnement PayPal (seule une activation le remplace)
+    if (!isCurrent && paypalSubscription.status !== "ACTIVE") {
+      logger.info("[ℹ️] Abonnement PayPal non suivi, événement ignoré", {
+        userId,
+        paypalSubscriptionId: paypalSubscription.id,
+      });
+      return { received: true, ignored: true };
+    }
+
+    const plan = await PlanService.getPlanByPayPalPlan(paypalSubscription.plan_id);
+    const endDate = toDate(paypalSubscription.billing_info?.next_billing_time);
+
+    // Révision de plan approuvée par le client
+    if (
+      isCurrent &&
+      plan &&
+      current.pendingPlanChange?.plan === plan.code
+    ) {
+      await SubscriptionIntegrationService.settlePendingPlanChange(userId, {
+        plan: plan.code,
+      });
+      logger.info(`[🗓️] Changement de plan PayPal soldé`, { userId, plan: plan.code });
+    }
+
+    let event = SubscriptionStateMachine.eventFromPayPal(
+      paypalSubscription,
+      isCurrent ? current.status : null
+    );
+
+    // Annulé chez PayPal : l'accès déjà payé est conservé jusqu'à la fin de période
+    if (
+      event === "expire" &&
+      current?.endDate > new Date() &&
+      SubscriptionStateMachine.hasAccess(current.status, current)
+    ) {
+      event = "schedule_cancel";
+    }
+
+    if (event === "expire") {
+      return SubscriptionIntegrationService.endSubscription({ userId });
+    }
+    if (event === "suspend") {
+      logger.info(`[⛔] Abonnement suspendu côté PayPal`);
+      return SubscriptionIntegrationService.suspendForNonPayment({ userId });
+    }
+
+    const updateData = {
+      paymentMethod: "paypal",
+      paypalSubscriptionId: paypalSubscription.id,
+      ...(plan && { plan: plan.code }),
+      ...(endDate && { endDate }),
+    };
+
+    const isNewSubscription = event === "activate" && !isCurrent;
+    if (isNewSubscription) {
+      Object.assign(updateData, {
+        // Un abonnement payé remplace un éventuel accès offert
+        grant: null,
+        stripeSubscriptionId: null,
+        stripePriceId: null,
+        pendingPlanChange: null,
+        startDate: toDate(paypalSubscription.start_time) || new Date(),
+        refundStatus: "none",
+        refundAmount: 0,
+        refundDate: null,
+        refundReason: null,
+      });
+    }
+
+    logger.debug(`[🛠️] Données de mise à jour PayPal pour ${userId}:`, {
+      event,
+      updateData,
+    });
+
+    const updated =
+      event &&
+      (await SubscriptionStateMachine.applyIfAllowed(userId, event, updateData));
+
+    if (updated && isNewSubscription) {
+      try {
+        const user = await User.findById(userId);
+        if (user?.email) {
+          await NotificationService.sendSubscriptionStarted(user.email, {
+            plan: updated.plan,
+            startDate: updated.startDate,
+            amount: plan?.amount,
+          });
+        }
+      } catch (notificationError) {
+        logger.warn(
+          "⚠️ Erreur notification début d'abonnement PayPal:",
+          notificationError.message
+        );
+      }
+    }
+
+    return updated || current;
+  },
+};
+
+module.exports = SubscriptionSyncService;
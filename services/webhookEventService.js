@@ -0,0 +1,85 @@
+const WebhookEvent = require("../models/WebhookEvent");
+const { logger } = require("../utils/logger");
+
+// Délai au-delà duquel un traitement "processing" est considéré comme abandonné
+const PROCESSING_TIMEOUT_MS =
+  parseInt(process.env.WEBHOOK_PROCESSING_TIMEOUT_MS, 10) || 5 * 60 * 1000;
+
+const WebhookEventService = {
+
+  // Réserve un événement pour traitement (un seul traitement à la fois par eventId)
+  async claim(event, provider = "stripe") {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - PROCESSING_TIMEOUT_MS);
+
+    try {
+      const stored = await WebhookEvent.findOneAndUpdate(
+        {
+          eventId: event.id,
+          $or: [
+            { status: "failed" },
+            { status: "processing", lastAttemptAt: { $lt: staleBefore } },
+          ],
+        },
+        {
+          $set: {
+            type: event.type,
+            provider,
+            status: "processing",
+            payload: event,
+            lastAttemptAt: now,
+          },
+          $inc: { attempts: 1 },
+          $setOnInsert: { receivedAt: now },
+        },
+        { upsert: true, new: true }
+      );
+
+      logger.info("[🗄️] Événement webhook réservé pour traitement", {
+        eventId: event.id,
+        type: event.type,
+        attempts: stored.attempts,
+      });
+
+      return { claimed: true, event: stored };
+    } catch (error) {
+      // Clé dupliquée : l'événement existe déjà et n'est pas réessayable
+      if (error.code === 11000) {
+        const existing = await WebhookEvent.findOne({ eventId: event.id });
+        logger.info("[🔁] Événement webhook déjà connu, traitement ignoré", {
+          eventId: event.id,
+          status: existing?.status,
+        });
+        return { claimed: false, event: existing };
+      }
+      throw error;
+    }
+  },
+
+  // Marque un événement comme traité avec succès
+  async markSucceeded(eventId) {
+    return WebhookEvent.findOneAndUpdate(
+      { eventId },
+      {
+        status: "succeeded",
+        lastError: null,
+        processedAt: new Date(),
+      },
+      { new: true }
+    );
+  },
+
+  // Marque un événement comme échoué (il pourra être retenté)
+  async markFailed(eventId, error) {
+    return WebhookEvent.findOneAndUpdate(
+      { eventId },
+      {
+        status: "failed",
+        lastError: error?.message || String(error),
+      },
+      { new: true }
+    );
+  },
+};
+
+module.exports = WebhookEventService;
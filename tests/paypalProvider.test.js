@@ -0,0 +1,128 @@
+const PayPalProvider = require("../providers/paypalProvider");
+const { createPayPalStandIn, VALID_SIGNATURE } = require("./support/paypalStandIn");
+
+describe("PayPalProvider (doublure locale)", () => {
+  let standIn;
+  let running;
+  let provider;
+
+  const plan = { code: "monthly", paypalPlanId: "P-MONTHLY" };
+
+  beforeAll(async () => {
+    standIn = createPayPalStandIn();
+    running = await standIn.listen();
+    provider = new PayPalProvider({ apiBase: running.url });
+  });
+
+  afterAll(() => running.close());
+
+  // Abonnement approuvé par le client, tel qu'enregistré localement
+  async function activeSubscription() {
+    const { id } = await provider.createCheckout({
+      userId: "507f1f77bcf86cd799439011",
+      email: "user@example.com",
+      plan,
+    });
+    standIn.approve(id);
+    return { paypalSubscriptionId: id, paymentMethod: "paypal" };
+  }
+
+  test("createCheckout crée un abonnement à approuver", async () => {
+    const checkout = await provider.createCheckout({
+      userId: "507f1f77bcf86cd799439011",
+      email: "user@example.com",
+      plan,
+    });
+
+    expect(checkout.url).toMatch(/checkoutnow/);
+    const stored = standIn.subscriptions.get(checkout.id);
+    expect(stored.plan_id).toBe("P-MONTHLY");
+    expect(stored.custom_id).toBe("507f1f77bcf86cd799439011");
+  });
+
+  test("createCheckout refuse un plan sans plan PayPal et les codes promo", async () => {
+    await expect(
+      provider.createCheckout({ userId: "u", plan: { code: "annual" } })
+    ).rejects.toThrow("Plan PayPal non défini");
+    await expect(
+      provider.createCheckout({ userId: "u", plan, promo: { code: "WELCOME" } })
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test("cancelAtPeriodEnd suspend la facturation et renvoie la fin de période", async () => {
+    const subscription = await activeSubscription();
+    const nextBilling = standIn.subscriptions.get(subscription.paypalSubscriptionId)
+      .billing_info.next_billing_time;
+
+    const { endDate } = await provider.cancelAtPeriodEnd(subscription);
+
+    expect(endDate).toEqual(new Date(nextBilling));
+    const stored = standIn.subscriptions.get(subscription.paypalSubscriptionId);
+    expect(stored.status).toBe("SUSPENDED");
+    expect(PayPalProvider.isScheduledCancellation(stored)).toBe(true);
+  });
+
+  test("reactivate réactive un abonnement suspendu", async () => {
+    const subscription = await activeSubscription();
+    await provider.cancelAtPeriodEnd(subscription);
+
+    await provider.reactivate(subscription);
+
+    expect(standIn.subscriptions.get(subscription.paypalSubscriptionId).status).toBe(
+      "ACTIVE"
+    );
+  });
+
+  test("changePlan demande une révision à approuver", async () => {
+    const subscription = await activeSubscription();
+
+    const result = await provider.changePlan(subscription, {
+      code: "annual",
+      paypalPlanId: "P-ANNUAL",
+    });
+
+    expect(result.effective).toBe("period_end");
+    expect(result.approvalUrl).toMatch(/revise/);
+    expect(result.effectiveDate).toBeInstanceOf(Date);
+    expect(
+      standIn.subscriptions.get(subscription.paypalSubscriptionId).pendingPlanId
+    ).toBe("P-ANNUAL");
+  });
+
+  test("cancelNow annule une fois, puis est sans effet", async () => {
+    const subscription = await activeSubscription();
+
+    await provider.cancelNow(subscription, { reason: "Test" });
+    const again = await provider.cancelNow(subscription);
+
+    expect(again.status).toBe("CANCELLED");
+    const cancelCalls = standIn.calls.filter(
+      (call) => call.path === `/v1/billing/subscriptions/${subscription.paypalSubscriptionId}/cancel`
+    );
+    expect(cancelCalls).toHaveLength(1);
+  });
+
+  test("un abonnement inconnu lève resource_missing", async () => {
+    await expect(
+      provider.getSubscription({ paypalSubscriptionId: "I-UNKNOWN" })
+    ).rejects.toMatchObject({ code: "resource_missing" });
+  });
+
+  test("verifyWebhook accepte une signature valide et refuse les autres", async () => {
+    const body = { id: "WH-EVT-1", event_type: "BILLING.SUBSCRIPTION.ACTIVATED" };
+    const headers = (sig) => ({
+      "paypal-auth-algo": "SHA256withRSA",
+      "paypal-cert-url": "https://paypal.standin/cert",
+      "paypal-transmission-id": "tx-1",
+      "paypal-transmission-sig": sig,
+      "paypal-transmission-time": new Date().toISOString(),
+    });
+
+    await expect(
+      provider.verifyWebhook({ headers: headers(VALID_SIGNATURE), body })
+    ).resolves.toEqual(body);
+    await expect(
+      provider.verifyWebhook({ headers: headers("forged"), body })
+    ).rejects.toThrow("Signature du webhook PayPal invalide");
+  });
+});
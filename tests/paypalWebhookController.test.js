@@ -0,0 +1,205 @@
+jest.mock("../services/webhookEventService");
+jest.mock("../services/subscriptionIntegrationService");
+jest.mock("../services/notificationService");
+jest.mock("../models/User", () => ({ findById: jest.fn().mockResolvedValue(null) }));
+jest.mock("../services/subscriptionStateMachine", () => ({
+  ...jest.requireActual("../services/subscriptionStateMachine"),
+  applyIfAllowed: jest.fn(),
+}));
+
+const PayPalWebhookController = require("../controllers/paypalWebhookController");
+const WebhookEventService = require("../services/webhookEventService");
+const SubscriptionIntegrationService = require("../services/subscriptionIntegrationService");
+const SubscriptionStateMachine = require("../services/subscriptionStateMachine");
+const PlanService = require("../services/planService");
+const PaymentProviders = require("../providers");
+const PayPalProvider = require("../providers/paypalProvider");
+const { createPayPalStandIn, VALID_SIGNATURE } = require("./support/paypalStandIn");
+
+const USER_ID = "507f1f77bcf86cd799439011";
+
+// Réponse Express minimale
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  return res;
+}
+
+function webhookRequest(event, signature = VALID_SIGNATURE) {
+  return {
+    headers: {
+      "paypal-auth-algo": "SHA256withRSA",
+      "paypal-cert-url": "https://paypal.standin/cert",
+      "paypal-transmission-id": `tx-${event.id}`,
+      "paypal-transmission-sig": signature,
+      "paypal-transmission-time": new Date().toISOString(),
+    },
+    body: event,
+  };
+}
+
+let eventCount = 0;
+function paypalEvent(eventType, resource) {
+  eventCount += 1;
+  return { id: `WH-${eventCount}`, event_type: eventType, resource };
+}
+
+describe("PayPalWebhookController.handlePayPalWebhook", () => {
+  let running;
+  const originalProvider = PaymentProviders.getProvider("paypal");
+
+  beforeAll(async () => {
+    running = await createPayPalStandIn().listen();
+    PaymentProviders.registerProvider(
+      "paypal",
+      new PayPalProvider({ apiBase: running.url })
+    );
+  });
+
+  afterAll(async () => {
+    PaymentProviders.registerProvider("paypal", originalProvider);
+    await running.close();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    WebhookEventService.claim.mockResolvedValue({ claimed: true });
+    WebhookEventService.markSucceeded.mockResolvedValue();
+    SubscriptionIntegrationService.getUserIdFromPayPalSubscription.mockResolvedValue(
+      USER_ID
+    );
+    SubscriptionStateMachine.applyIfAllowed.mockImplementation(
+      async (userId, event, fields) => ({ userId, event, ...fields })
+    );
+    jest
+      .spyOn(PlanService, "getPlanByPayPalPlan")
+      .mockResolvedValue({ code: "monthly", amount: 9.99 });
+  });
+
+  test("refuse un webhook dont la signature est invalide", async () => {
+    const res = mockResponse();
+    const event = paypalEvent("BILLING.SUBSCRIPTION.ACTIVATED", { id: "I-1" });
+
+    await PayPalWebhookController.handlePayPalWebhook(
+      webhookRequest(event, "forged"),
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(WebhookEventService.claim).not.toHaveBeenCalled();
+  });
+
+  test("active un nouvel abonnement PayPal", async () => {
+    SubscriptionIntegrationService.getCurrentSubscription.mockResolvedValue(null);
+    const res = mockResponse();
+    const event = paypalEvent("BILLING.SUBSCRIPTION.ACTIVATED", {
+      id: "I-NEW",
+      status: "ACTIVE",
+      plan_id: "P-MONTHLY",
+      custom_id: USER_ID,
+      start_time: "2026-01-01T00:00:00Z",
+      billing_info: { next_billing_time: "2026-02-01T00:00:00Z" },
+    });
+
+    await PayPalWebhookController.handlePayPalWebhook(webhookRequest(event), res);
+
+    expect(WebhookEventService.claim).toHaveBeenCalledWith(
+      expect.objectContaining({ id: event.id, type: event.event_type }),
+      "paypal"
+    );
+    expect(SubscriptionStateMachine.applyIfAllowed).toHaveBeenCalledWith(
+      USER_ID,
+      "activate",
+      expect.objectContaining({
+        paymentMethod: "paypal",
+        paypalSubscriptionId: "I-NEW",
+        plan: "monthly",
+        grant: null,
+        endDate: new Date("2026-02-01T00:00:00Z"),
+      })
+    );
+    expect(WebhookEventService.markSucceeded).toHaveBeenCalledWith(event.id);
+    expect(res.json).toHaveBeenCalled();
+  });
+
+  test("notre suspension pour annulation programmée n'est pas un impayé", async () => {
+    // Webhook reçu avant l'écriture locale de l'état canceling
+    SubscriptionIntegrationService.getCurrentSubscription.mockResolvedValue({
+      status: "active",
+      paypalSubscriptionId: "I-CANCEL",
+    });
+    const res = mockResponse();
+    const event = paypalEvent("BILLING.SUBSCRIPTION.SUSPENDED", {
+      id: "I-CANCEL",
+      status: "SUSPENDED",
+      status_change_note: "Annulation programmée en fin de période",
+      plan_id: "P-MONTHLY",
+    });
+
+    await PayPalWebhookController.handlePayPalWebhook(webhookRequest(event), res);
+
+    expect(SubscriptionIntegrationService.suspendForNonPayment).not.toHaveBeenCalled();
+    expect(SubscriptionStateMachine.applyIfAllowed).toHaveBeenCalledWith(
+      USER_ID,
+      "schedule_cancel",
+      expect.objectContaining({ paypalSubscriptionId: "I-CANCEL" })
+    );
+  });
+
+  test("une suspension par PayPal après impayés suspend l'accès", async () => {
+    SubscriptionIntegrationService.getCurrentSubscription.mockResolvedValue({
+      status: "active",
+      paypalSubscriptionId: "I-UNPAID",
+    });
+    const res = mockResponse();
+    const event = paypalEvent("BILLING.SUBSCRIPTION.SUSPENDED", {
+      id: "I-UNPAID",
+      status: "SUSPENDED",
+      status_change_note: "Maximum failed payments reached",
+    });
+
+    await PayPalWebhookController.handlePayPalWebhook(webhookRequest(event), res);
+
+    expect(SubscriptionIntegrationService.suspendForNonPayment).toHaveBeenCalledWith({
+      userId: USER_ID,
+    });
+  });
+
+  test("chaque échec de paiement a sa propre référence", async () => {
+    const failure = (time) =>
+      paypalEvent("BILLING.SUBSCRIPTION.PAYMENT.FAILED", {
+        id: "I-FAIL",
+        billing_info: {
+          failed_payments_count: 1,
+          last_failed_payment: {
+            amount: { value: "9.99", currency_code: "EUR" },
+            reason_code: "PAYMENT_DENIED",
+            time,
+          },
+        },
+      });
+
+    await PayPalWebhookController.handlePayPalWebhook(
+      webhookRequest(failure("2026-01-01T00:00:00Z")),
+      mockResponse()
+    );
+    await PayPalWebhookController.handlePayPalWebhook(
+      webhookRequest(failure("2026-03-01T00:00:00Z")),
+      mockResponse()
+    );
+
+    const transactionIds = SubscriptionIntegrationService.recordPaymentFailure.mock.calls.map(
+      ([, data]) => data.transactionId
+    );
+    expect(transactionIds).toEqual([
+      "I-FAIL:2026-01-01T00:00:00Z",
+      "I-FAIL:2026-03-01T00:00:00Z",
+    ]);
+    expect(SubscriptionIntegrationService.recordPaymentFailure).toHaveBeenCalledWith(
+      USER_ID,
+      expect.objectContaining({ provider: "paypal", amount: 9.99, currency: "eur" })
+    );
+  });
+});
@@ -0,0 +1,125 @@
+const PaymentProviders = require("../providers");
+const Plan = require("../models/Plan");
+const PlanService = require("../services/planService");
+
+// Catalogue factice : enregistre les produits et prix créés ou archivés
+class FakeCatalogProvider extends PaymentProviders.PaymentProvider {
+  constructor() {
+    super("stripe", "Catalogue factice");
+    this.calls = [];
+  }
+
+  async createProduct({ planCode }) {
+    this.calls.push(["createProduct", planCode]);
+    return { id: `prod_${planCode}` };
+  }
+
+  async createPrice({ planCode, amount }) {
+    this.calls.push(["createPrice", planCode, amount]);
+    return { id: `price_${planCode}_${amount}` };
+  }
+
+  async updateProduct(productId, changes) {
+    this.calls.push(["updateProduct", productId, changes]);
+  }
+
+  async deactivatePrice(priceId) {
+    this.calls.push(["deactivatePrice", priceId]);
+  }
+}
+
+describe("PlanService", () => {
+  const originalProvider = PaymentProviders.getProvider("stripe");
+  let catalog;
+
+  beforeEach(() => {
+    catalog = PaymentProviders.registerProvider("stripe", new FakeCatalogProvider());
+    jest.spyOn(Plan, "exists").mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    PaymentProviders.registerProvider("stripe", originalProvider);
+    jest.restoreAllMocks();
+  });
+
+  test("createPlan refuse un plan invalide sans rien créer dans Stripe", async () => {
+    await expect(
+      PlanService.createPlan({ code: "weekly", name: "Hebdo", amount: 5, interval: "fortnight" })
+    ).rejects.toMatchObject({ statusCode: 400 });
+    await expect(
+      PlanService.createPlan({ code: "free", name: "Gratuit", amount: -1 })
+    ).rejects.toMatchObject({ statusCode: 400 });
+
+    expect(catalog.calls).toEqual([]);
+  });
+
+  test("createPlan archive le produit et le prix si l'enregistrement échoue", async () => {
+    jest.spyOn(Plan.prototype, "save").mockRejectedValue(new Error("Mongo indisponible"));
+
+    await expect(
+      PlanService.createPlan({ code: "weekly", name: "Hebdo", amount: 5, interval: "week" })
+    ).rejects.toThrow("Mongo indisponible");
+
+    expect(catalog.calls).toEqual([
+      ["createProduct", "weekly"],
+      ["createPrice", "weekly", 5],
+      ["deactivatePrice", "price_weekly_5"],
+      ["updateProduct", "prod_weekly", { active: false }],
+    ]);
+  });
+
+  test("repricePlan valide le nouveau tarif avant de créer le prix", async () => {
+    const plan = new Plan({
+      code: "monthly",
+      name: "Premium mensuel",
+      amount: 9.99,
+      stripeProductId: "prod_monthly",
+      stripePriceId: "price_monthly_old",
+    });
+    jest.spyOn(PlanService, "getPlanByCode").mockResolvedValue(plan);
+
+    await expect(
+      PlanService.repricePlan("monthly", { amount: 12, interval: "fortnight" })
+    ).rejects.toMatchObject({ statusCode: 400 });
+
+    expect(catalog.calls).toEqual([]);
+  });
+
+  test("repricePlan désactive l'ancien prix une fois le plan enregistré", async () => {
+    const plan = new Plan({
+      code: "monthly",
+      name: "Premium mensuel",
+      amount: 9.99,
+      stripeProductId: "prod_monthly",
+      stripePriceId: "price_monthly_old",
+    });
+    jest.spyOn(PlanService, "getPlanByCode").mockResolvedValue(plan);
+    const save = jest.spyOn(plan, "save").mockResolvedValue(plan);
+
+    await PlanService.repricePlan("monthly", { amount: 12 });
+
+    expect(save).toHaveBeenCalled();
+    expect(plan.stripePriceId).toBe("price_monthly_12");
+    expect(plan.legacyStripePriceIds).toContain("price_monthly_old");
+    expect(catalog.calls).toEqual([
+      ["createPrice", "monthly", 12],
+      ["deactivatePrice", "price_monthly_old"],
+    ]);
+  });
+});
+
+describe("PlanService.updatePlan", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test("refuse des valeurs invalides avec une erreur 400", async () => {
+    const plan = new Plan({ code: "monthly", name: "Premium mensuel", amount: 9.99 });
+    jest.spyOn(PlanService, "getPlanByCode").mockResolvedValue(plan);
+    const save = jest.spyOn(plan, "save");
+
+    await expect(
+      PlanService.updatePlan("monthly", { trialDays: -3 })
+    ).rejects.toMatchObject({ statusCode: 400 });
+
+    expect(save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,70 @@
+const PaymentProviders = require("../providers");
+const PromoCode = require("../models/PromoCode");
+const PromoCodeService = require("../services/promoCodeService");
+
+const ADMIN_ID = "507f1f77bcf86cd799439011";
+
+// Remises factices : enregistre les codes créés et désactivés
+class FakePromotionProvider extends PaymentProviders.PaymentProvider {
+  constructor() {
+    super("stripe", "Remises factices");
+    this.calls = [];
+  }
+
+  async createPromotionCode({ code }) {
+    this.calls.push(["createPromotionCode", code]);
+    return { couponId: `coupon_${code}`, promotionCodeId: `promo_${code}` };
+  }
+
+  async deactivatePromotionCode(promotionCodeId) {
+    this.calls.push(["deactivatePromotionCode", promotionCodeId]);
+  }
+
+  async deleteCoupon(couponId) {
+    this.calls.push(["deleteCoupon", couponId]);
+  }
+}
+
+describe("PromoCodeService.createPromoCode", () => {
+  const originalProvider = PaymentProviders.getProvider("stripe");
+  let promotions;
+
+  beforeEach(() => {
+    promotions = PaymentProviders.registerProvider("stripe", new FakePromotionProvider());
+    jest.spyOn(PromoCode, "exists").mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    PaymentProviders.registerProvider("stripe", originalProvider);
+    jest.restoreAllMocks();
+  });
+
+  test.each([
+    [{ percentOff: 0 }],
+    [{ percentOff: 150 }],
+    [{ amountOff: -5 }],
+    [{ amountOff: "dix" }],
+  ])("refuse une remise invalide sans appeler Stripe (%o)", async (discount) => {
+    await expect(
+      PromoCodeService.createPromoCode({ code: "welcome", ...discount }, ADMIN_ID)
+    ).rejects.toMatchObject({ statusCode: 400 });
+
+    expect(promotions.calls).toEqual([]);
+  });
+
+  test("désactive le code Stripe si l'enregistrement échoue sur un doublon", async () => {
+    jest
+      .spyOn(PromoCode, "create")
+      .mockRejectedValue(Object.assign(new Error("E11000 duplicate key"), { code: 11000 }));
+
+    await expect(
+      PromoCodeService.createPromoCode({ code: "welcome", percentOff: 20 }, ADMIN_ID)
+    ).rejects.toMatchObject({ statusCode: 409 });
+
+    expect(promotions.calls).toEqual([
+      ["createPromotionCode", "WELCOME"],
+      ["deactivatePromotionCode", "promo_WELCOME"],
+      ["deleteCoupon", "coupon_WELCOME"],
+    ]);
+  });
+});
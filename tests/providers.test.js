@@ -0,0 +1,99 @@
+const PaymentProviders = require("../providers");
+const Subscription = require("../models/Subscription");
+const PaymentMethodService = require("../services/paymentMethodService");
+
+const USER_ID = "507f1f77bcf86cd799439011";
+
+// Fournisseur factice : seules les cartes enregistrées sont prises en charge
+class FakeCardProvider extends PaymentProviders.PaymentProvider {
+  constructor() {
+    super("stripe", "Fournisseur factice");
+    this.calls = [];
+  }
+
+  async listPaymentMethods(customerId) {
+    this.calls.push(["listPaymentMethods", customerId]);
+    return [
+      { id: "pm_1", customer: customerId, card: { brand: "visa", last4: "4242" } },
+      { id: "pm_2", customer: customerId, card: { brand: "amex", last4: "0005" } },
+    ];
+  }
+
+  async getDefaultPaymentMethodId(customerId) {
+    this.calls.push(["getDefaultPaymentMethodId", customerId]);
+    return "pm_2";
+  }
+}
+
+describe("registerProvider", () => {
+  const originalProvider = PaymentProviders.getProvider("stripe");
+  let fake;
+
+  beforeEach(() => {
+    fake = PaymentProviders.registerProvider("stripe", new FakeCardProvider());
+    jest
+      .spyOn(Subscription, "findOne")
+      .mockResolvedValue({ userId: USER_ID, stripeCustomerId: "cus_fake" });
+  });
+
+  afterEach(() => {
+    PaymentProviders.registerProvider("stripe", originalProvider);
+    jest.restoreAllMocks();
+  });
+
+  test("les services utilisent le fournisseur enregistré", async () => {
+    const cards = await PaymentMethodService.listPaymentMethods(USER_ID);
+
+    expect(PaymentProviders.getProvider("stripe")).toBe(fake);
+    expect(fake.calls).toEqual([
+      ["listPaymentMethods", "cus_fake"],
+      ["getDefaultPaymentMethodId", "cus_fake"],
+    ]);
+    expect(cards.map((card) => [card.id, card.isDefault])).toEqual([
+      ["pm_1", false],
+      ["pm_2", true],
+    ]);
+  });
+
+  test("une opération non implémentée lève une erreur 400", async () => {
+    await expect(PaymentMethodService.createSetupIntent(USER_ID)).rejects.toMatchObject({
+      statusCode: 400,
+    });
+  });
+
+  test("refuse un fournisseur qui n'étend pas PaymentProvider", () => {
+    expect(() =>
+      PaymentProviders.registerProvider("stripe", { listPaymentMethods() {} })
+    ).toThrow("doit étendre PaymentProvider");
+    expect(PaymentProviders.getProvider("stripe")).toBe(fake);
+  });
+});
+
+describe("StripeProvider.extend", () => {
+  const StripeProvider = require("../providers/stripeProvider");
+  const endDate = new Date("2026-12-31T00:00:00Z");
+  let provider;
+  let update;
+
+  beforeEach(() => {
+    provider = new StripeProvider();
+    update = jest.fn().mockResolvedValue({});
+    provider.stripe = { subscriptions: { update } };
+  });
+
+  test("repousse la fin d'une annulation programmée", async () => {
+    await provider.extend({ status: "canceling", stripeSubscriptionId: "sub_1" }, endDate);
+
+    expect(update).toHaveBeenCalledWith("sub_1", {
+      cancel_at: Math.floor(endDate.getTime() / 1000),
+    });
+  });
+
+  test("ne fait pas repasser un abonnement payé en essai", async () => {
+    await expect(
+      provider.extend({ status: "active", stripeSubscriptionId: "sub_1" }, endDate)
+    ).rejects.toMatchObject({ statusCode: 409 });
+
+    expect(update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,8 @@
+// Variables d'environnement des tests (aucun appel réel à Stripe ou PayPal)
+process.env.NODE_ENV = "production";
+process.env.LOG_LEVEL = "error";
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || "sk_test_placeholder";
+process.env.PAYPAL_CLIENT_ID = "standin-client";
+process.env.PAYPAL_CLIENT_SECRET = "standin-secret";
+process.env.PAYPAL_WEBHOOK_ID = "WH-STANDIN";
+process.env.CLIENT_URL = "http://localhost:3000";
@@ -0,0 +1,157 @@
+const express = require("express");
+const crypto = require("crypto");
+
+// Doublure locale de l'API PayPal Subscriptions (OAuth, abonnements, vérification
+// des webhooks), suffisante pour PayPalProvider. Lancement manuel :
+//   node tests/support/paypalStandIn.js   puis PAYPAL_API_BASE=http://localhost:5099
+
+// Signature acceptée par /v1/notifications/verify-webhook-signature
+const VALID_SIGNATURE = "stand-in-signature";
+
+function createPayPalStandIn({ webhookId = "WH-STANDIN" } = {}) {
+  const app = express();
+  const subscriptions = new Map();
+  const calls = [];
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+  app.use((req, res, next) => {
+    calls.push({ method: req.method, path: req.path, body: req.body });
+    next();
+  });
+
+  const notFound = (res) =>
+    res.status(404).json({
+      name: "RESOURCE_NOT_FOUND",
+      message: "The specified resource does not exist.",
+    });
+
+  app.post("/v1/oauth2/token", (req, res) => {
+    if (!req.headers.authorization?.startsWith("Basic ")) {
+      return res.status(401).json({ error: "invalid_client" });
+    }
+    res.json({
+      access_token: `A21-${crypto.randomBytes(8).toString("hex")}`,
+      token_type: "Bearer",
+      expires_in: 32400,
+    });
+  });
+
+  app.use("/v1", (req, res, next) => {
+    if (!req.headers.authorization?.startsWith("Bearer ")) {
+      return res.status(401).json({ name: "AUTHENTICATION_FAILURE" });
+    }
+    next();
+  });
+
+  app.post("/v1/billing/subscriptions", (req, res) => {
+    const id = `I-${crypto.randomBytes(6).toString("hex").toUpperCase()}`;
+    const subscription = {
+      id,
+      status: "APPROVAL_PENDING",
+      plan_id: req.body.plan_id,
+      custom_id: req.body.custom_id,
+      subscriber: req.body.subscriber,
+      create_time: new Date().toISOString(),
+      links: [
+        { rel: "approve", href: `https://paypal.standin/checkoutnow?ba_token=${id}` },
+        { rel: "self", href: `/v1/billing/subscriptions/${id}` },
+      ],
+    };
+    subscriptions.set(id, subscription);
+    res.status(201).json(subscription);
+  });
+
+  app.get("/v1/billing/subscriptions/:id", (req, res) => {
+    const subscription = subscriptions.get(req.params.id);
+    if (!subscription) return notFound(res);
+    res.json(subscription);
+  });
+
+  // Changements de statut : même réponse vide (204) que PayPal
+  const STATUS_ACTIONS = {
+    suspend: { from: ["ACTIVE"], to: "SUSPENDED" },
+    activate: { from: ["SUSPENDED"], to: "ACTIVE" },
+    cancel: { from: ["ACTIVE", "SUSPENDED", "APPROVAL_PENDING"], to: "CANCELLED" },
+  };
+
+  app.post("/v1/billing/subscriptions/:id/:action", (req, res) => {
+    const subscription = subscriptions.get(req.params.id);
+    if (!subscription) return notFound(res);
+
+    if (req.params.action === "revise") {
+      const token = crypto.randomBytes(6).toString("hex");
+      subscription.pendingPlanId = req.body.plan_id;
+      return res.json({
+        plan_id: req.body.plan_id,
+        plan_overridden: false,
+        links: [{ rel: "approve", href: `https://paypal.standin/revise?token=${token}` }],
+      });
+    }
+
+    const action = STATUS_ACTIONS[req.params.action];
+    if (!action) return notFound(res);
+    if (!action.from.includes(subscription.status)) {
+      return res.status(422).json({
+        name: "UNPROCESSABLE_ENTITY",
+        details: [
+          {
+            issue: "SUBSCRIPTION_STATUS_INVALID",
+            description: `Invalid subscription status for ${req.params.action} action.`,
+          },
+        ],
+      });
+    }
+
+    subscription.status = action.to;
+    subscription.status_change_note = req.body.reason;
+    subscription.status_update_time = new Date().toISOString();
+    if (action.to !== "ACTIVE") delete subscription.billing_info?.next_billing_time;
+    res.status(204).end();
+  });
+
+  app.post("/v1/notifications/verify-webhook-signature", (req, res) => {
+    const valid =
+      req.body.webhook_id === webhookId &&
+      req.body.transmission_sig === VALID_SIGNATURE &&
+      !!req.body.webhook_event?.id;
+    res.json({ verification_status: valid ? "SUCCESS" : "FAILURE" });
+  });
+
+  // Approbation par le client (hors API) : l'abonnement devient actif
+  function approve(id, { nextBillingTime } = {}) {
+    const subscription = subscriptions.get(id);
+    subscription.status = "ACTIVE";
+    subscription.start_time = new Date().toISOString();
+    subscription.billing_info = {
+      next_billing_time:
+        nextBillingTime || new Date(Date.now() + 30 * 24 * 3600 * 1000).toISOString(),
+      failed_payments_count: 0,
+    };
+    return subscription;
+  }
+
+  // Démarre le serveur (port 0 : port libre) et renvoie son URL
+  function listen(port = 0) {
+    return new Promise((resolve) => {
+      const server = app.listen(port, () => {
+        resolve({
+          server,
+          url: `http://127.0.0.1:${server.address().port}`,
+          close: () => new Promise((done) => server.close(done)),
+        });
+      });
+    });
+  }
+
+  return { app, subscriptions, calls, approve, listen, webhookId };
+}
+
+module.exports = { createPayPalStandIn, VALID_SIGNATURE };
+
+if (require.main === module) {
+  const standIn = createPayPalStandIn({ webhookId: process.env.PAYPAL_WEBHOOK_ID });
+  standIn.listen(Number(process.env.PAYPAL_STANDIN_PORT) || 5099).then(({ url }) => {
+    console.log(`🧪 Doublure PayPal : ${url}`);
+  });
+}
@@ -0,0 +1,36 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Contexte d'exécution (origine et auteur) propagé jusqu'aux écritures en base
+const storage = new AsyncLocalStorage();
+
+const SYSTEM_CONTEXT = { source: "system" };
+
+// Exécute fn avec un contexte d'audit (complète le contexte parent éventuel)
+function run(context, fn) {
+  return storage.run({ ...storage.getStore(), ...context }, fn);
+}
+
+// Contexte courant ("system" hors requête, webhook ou job)
+function get() {
+  return storage.getStore() || SYSTEM_CONTEXT;
+}
+
+// Middleware Express : à placer après l'authentification
+function middleware(source) {
+  return (req, res, next) =>
+    run(
+      {
+        source,
+        sourceRef: `${req.method} ${req.baseUrl}${req.path}`,
+        actorId: req.user?.userId,
+        actorRole: req.user?.role,
+      },
+      next
+    );
+}
+
+module.exports = {
+  run,
+  get,
+  middleware,
+};
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+const { logger } = require("./logger");
+
+// Nombre maximal de tentatives quand une transaction entre en conflit
+const MAX_ATTEMPTS = parseInt(process.env.TRANSACTION_MAX_ATTEMPTS, 10) || 5;
+const BASE_DELAY_MS = 50;
+
+// Document modifié par un autre traitement entre la lecture et l'écriture
+class VersionConflictError extends Error {
+  constructor(model, id) {
+    super(`Conflit de version sur ${model} ${id || ""}`.trim());
+    this.name = "VersionConflictError";
+    this.code = "VERSION_CONFLICT";
+    this.statusCode = 409;
+  }
+}
+
+const isRetryable = (error) =>
+  error instanceof VersionConflictError ||
+  error.hasErrorLabel?.("TransientTransactionError") ||
+  error.code === 112; // WriteConflict
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Exécute fn(session) dans une transaction MongoDB, relancée automatiquement en cas de conflit
+async function runInTransaction(fn, { label = "transaction" } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await fn(session);
+      });
+      return result;
+    } catch (error) {
+      if (!isRetryable(error) || attempt >= MAX_ATTEMPTS) throw error;
+
+      logger.warn("[🔁] Conflit de mise à jour, nouvelle tentative", {
+        label,
+        attempt,
+        error: error.message,
+      });
+      await wait(BASE_DELAY_MS * 2 ** (attempt - 1) * (1 + Math.random()));
+    } finally {
+      await session.endSession();
+    }
+  }
+}
+
+module.exports = {
+  VersionConflictError,
+  runInTransaction,
+};